@@ -0,0 +1,213 @@
+'use strict';
+
+const http = require('http');
+const metrics = require('./metrics');
+const createLogger = require('./logger');
+
+const globalLogger = createLogger();
+const FORCEABLE_MODES = ['VOICE', 'DTMF', 'NO_INPUT', 'TIMEOUT', 'ERROR'];
+const MAX_BODY_SIZE = 16 * 1024;
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Embedded HTTP server to inspect and control the live calls of an App.
+ *
+ *  GET  /calls                      List the active calls.
+ *  GET  /calls/:id                  Show one call.
+ *  POST /calls/:id/stop-prompt      Stop the prompt being played.
+ *  POST /calls/:id/end-recognition  End the recognition in progress and use its result.
+ *  POST /calls/:id/continue         Return the call to the dialplan. Body: {"recognitionMode": "NO_INPUT"}
+ *  GET  /metrics                    Prometheus metrics, see metrics.js.
+ *
+ * Every response but /metrics is JSON. If a token is configured, requests
+ * must send `Authorization: Bearer <token>`.
+ */
+class AdminServer {
+    /**
+     * @param {App} app - The running application, see ari-client.js.
+     * @param {object} adminConfig - The `admin` configuration.
+     * @param {object} [logger]
+     */
+    constructor(app, adminConfig, logger) {
+        this.app = app;
+        this.config = adminConfig;
+        this.logger = logger || globalLogger;
+        this.server = null;
+        this.routes = [
+            { method: 'GET', pattern: /^\/calls$/, handler: () => this.listCalls() },
+            { method: 'GET', pattern: /^\/calls\/([^/]+)$/, handler: (id) => this.describeCall(this.getCallState(id)) },
+            { method: 'POST', pattern: /^\/calls\/([^/]+)\/stop-prompt$/, handler: (id) => this.stopPrompt(id) },
+            { method: 'POST', pattern: /^\/calls\/([^/]+)\/end-recognition$/, handler: (id) => this.endRecognition(id) },
+            { method: 'POST', pattern: /^\/calls\/([^/]+)\/continue$/, handler: (id, body) => this.continueCall(id, body) },
+        ];
+        if (adminConfig.metricsEnabled) {
+            this.routes.push({ method: 'GET', pattern: /^\/metrics$/, handler: () => this.renderMetrics(), contentType: metrics.CONTENT_TYPE });
+        }
+    }
+
+    /**
+     * Starts listening on the configured host and port.
+     * @returns {Promise<void>}
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                this.server.removeListener('error', reject);
+                this.server.on('error', err => this.logger.error('Admin API server error:', err));
+                this.logger.info(`Admin API listening on http://${this.config.host}:${this.config.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops accepting connections.
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.server) return Promise.resolve();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handleRequest(req, res) {
+        try {
+            if (this.config.token && req.headers.authorization !== `Bearer ${this.config.token}`) {
+                throw new HttpError(401, 'Unauthorized');
+            }
+
+            const { pathname } = new URL(req.url, 'http://localhost');
+            let pathMatched = false;
+            for (const route of this.routes) {
+                const match = route.pattern.exec(pathname);
+                if (!match) continue;
+                pathMatched = true;
+                if (route.method !== req.method) continue;
+
+                const body = req.method === 'POST' ? await this.readBody(req) : null;
+                const ids = match.slice(1).map(decodeURIComponent);
+                const result = await route.handler(...ids, body);
+                if (route.contentType) {
+                    res.writeHead(200, { 'Content-Type': route.contentType });
+                    res.end(result);
+                } else {
+                    this.sendJson(res, 200, result);
+                }
+                return;
+            }
+            throw pathMatched ? new HttpError(405, 'Method not allowed') : new HttpError(404, 'Not found');
+        } catch (err) {
+            if (!err.statusCode) {
+                this.logger.error(`Admin API error on ${req.method} ${req.url}:`, err);
+            }
+            this.sendJson(res, err.statusCode || 500, { error: err.statusCode ? err.message : 'Internal server error' });
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => {
+                data += chunk;
+                if (data.length > MAX_BODY_SIZE) {
+                    reject(new HttpError(413, 'Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                if (!data) return resolve({});
+                let body;
+                try {
+                    body = JSON.parse(data);
+                } catch (err) {
+                    return reject(new HttpError(400, 'Request body is not valid JSON'));
+                }
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    return reject(new HttpError(400, 'Request body must be a JSON object'));
+                }
+                resolve(body);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, statusCode, payload) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+
+    getCallState(id) {
+        const callState = this.app.activeCalls.get(id);
+        if (!callState) {
+            throw new HttpError(404, `Call ${id} not found`);
+        }
+        return callState;
+    }
+
+    describeCall(callState) {
+        return {
+            id: callState.mainChannel.id,
+            callerId: callState.mainChannel.caller.number,
+            phase: this.app.getCallPhase(callState),
+            elapsedMs: Date.now() - callState.startTime,
+            attempt: callState.attempt,
+            recognitionMode: callState.recognitionMode.toUpperCase(),
+            prompt: callState.textToSynthesize || null,
+            interimTranscript: callState.interimTranscript,
+            finalTranscript: callState.finalTranscript,
+            dtmfDigits: callState.dtmfDigits,
+        };
+    }
+
+    renderMetrics() {
+        metrics.activeCalls.set({}, this.app.activeCalls.size);
+        return metrics.render();
+    }
+
+    listCalls() {
+        const calls = Array.from(this.app.activeCalls.values()).map(callState => this.describeCall(callState));
+        return { count: calls.length, calls };
+    }
+
+    async stopPrompt(id) {
+        const callState = this.getCallState(id);
+        if (!callState.isPlayingPrompt) {
+            throw new HttpError(409, 'No prompt is playing');
+        }
+        await this.app.stopPrompt(callState, 'Admin stop request');
+        // An interrupted prompt does not arm talk detection when it ends (VAD_ACTIVATION_MODE=after_prompt_end).
+        this.app.enableTalkDetection(callState);
+        return this.describeCall(callState);
+    }
+
+    endRecognition(id) {
+        const callState = this.getCallState(id);
+        if (!this.app.endRecognition(callState, 'Admin end-recognition request')) {
+            throw new HttpError(409, 'No recognition is in progress');
+        }
+        return this.describeCall(callState);
+    }
+
+    async continueCall(id, body) {
+        const callState = this.getCallState(id);
+        const mode = String(body.recognitionMode || '').toUpperCase();
+        if (!FORCEABLE_MODES.includes(mode)) {
+            throw new HttpError(400, `recognitionMode must be one of ${FORCEABLE_MODES.join(', ')}`);
+        }
+        if (callState.isFinished) {
+            throw new HttpError(409, 'The call has already been returned to the dialplan');
+        }
+        await this.app.forceContinue(callState, mode.toLowerCase());
+        return this.describeCall(callState);
+    }
+}
+
+module.exports = AdminServer;
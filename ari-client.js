@@ -1,59 +1,421 @@
 'use strict';
 
+const fs = require('fs').promises;
+const { PassThrough } = require('stream');
 const AriClient = require('ari-client');
 const { v4: uuidv4 } = require('uuid');
-const { cloneDeep, set } = require('lodash');
+const { cloneDeep, set, escapeRegExp } = require('lodash');
 const RtpServer = require('./rtp-server');
-const AzureService = require('./azure-service');
-const { ulawToPcm } = require('./audio-converter');
+const EnergyVad = require('./vad');
+const { createSpeechProvider } = require('./speech-provider');
+const { getCodec, getTtsSampleRate } = require('./audio-converter');
+const { validateInput } = require('./input-validator');
+const { scoreRecognition, getSegments } = require('./recognition-result');
+const { isSsmlInput } = require('./ssml');
+const { getTemplateVariables, renderTemplate, loadTemplate } = require('./prompt-templates');
+const { parsePlaylist, describePlaylist } = require('./playlist');
+const { getPhrases } = require('./phrase-lists');
+const { requestNextActions } = require('./dialog-client');
 const soundManager = require('./sound-manager');
+const ttsCache = require('./tts-cache');
+const metrics = require('./metrics');
 const config = require('./config');
 const createLogger = require('./logger');
 const db = require('./database');
 
 const logger = createLogger({ config }); // Global logger for app-level events
 const DIALPLAN_VAR_PREFIX = 'APP_VAR_';
+// Bridges and channels created by this app get IDs of the form
+// internal-<appName>-<kind>-<uuid>, so that orphans can be found after a reconnect.
+const INTERNAL_ID_PREFIX = `internal-${config.ari.appName}-`;
+const INTERNAL_ID_PATTERN = new RegExp(`^${escapeRegExp(INTERNAL_ID_PREFIX)}(snoop|media|tts|bridge)-[0-9a-f-]{36}$`);
+
+// Speech start/end events of each VAD engine (VAD_ENGINE).
+const TALK_EVENTS = {
+    talk_detect: { started: 'ChannelTalkingStarted', finished: 'ChannelTalkingFinished' }, // On the main channel
+    energy: { started: 'speechStart', finished: 'speechEnd' }, // On callState.vad
+};
+
+/**
+ * Returns the text saved as `textToSynthesize` for a prompt.
+ * @param {object|null} prompt - A prompt descriptor, see App.handlePrompt().
+ * @returns {string}
+ */
+const describePrompt = (prompt) => {
+    if (!prompt) return '';
+    return prompt.mode === 'playlist' ? describePlaylist(prompt.segments) : prompt.text || prompt.filePath || '';
+};
+
+/**
+ * Returns the channel variable of the translation to a language, e.g.
+ * TRANSLATION_ES for 'es' or TRANSLATION_ZH_HANS for 'zh-Hans'.
+ * @param {string} language
+ * @returns {string}
+ */
+const getTranslationVariable = (language) => `TRANSLATION_${language.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+/**
+ * Returns the voice of AZURE_TTS_VOICES_BY_LANGUAGE for a language, matching
+ * the full tag ('en-US') first and then the primary language ('en').
+ * @param {string} voicesByLanguage - 'language:voice' pairs separated by commas.
+ * @param {string} language
+ * @returns {string|null}
+ */
+const getVoiceForLanguage = (voicesByLanguage, language) => {
+    const voices = new Map();
+    for (const pair of String(voicesByLanguage || '').split(',')) {
+        const separator = pair.indexOf(':');
+        if (separator === -1) continue;
+        voices.set(pair.slice(0, separator).trim().toLowerCase(), pair.slice(separator + 1).trim());
+    }
+    const tag = language.toLowerCase();
+    return voices.get(tag) || voices.get(tag.split('-')[0]) || null;
+};
 
 class App {
     constructor() {
         this.ariClient = null;
-        // this.azureService is no longer global
+        // The speech provider is created per call, see handleCall()
         this.activeCalls = new Map(); // Track active calls by channel ID
+        this.pendingWrites = new Set(); // Interaction writes not yet committed, flushed on shutdown
+        this.isShuttingDown = false;
     }
 
     async start() {
         try {
             await soundManager.initialize();
-            this.ariClient = await AriClient.connect(config.ari.url, config.ari.username, config.ari.password);
-            logger.info('Connected to Asterisk ARI');
-
-            this.ariClient.on('StasisStart', (event, channel) => {
-                // Ignore channels that are marked as internal, or channels that don't have a caller property.
-                if ((event.args && event.args.includes('internal')) || !channel.caller.number) {
-                    createLogger({ config }).info(`Ignoring internal or caller-less channel ${channel.id} entering Stasis.`);
-                    // We answer these channels to ensure they are properly handled and don't get stuck.
-                    channel.answer().catch(err => createLogger({ config }).error(`Failed to answer internal channel ${channel.id}:`, err));
-                    return;
-                }
-                this.handleCall(channel);
-            });
+            if (config.app.tts.cache.enabled) {
+                await ttsCache.initialize(config.app.tts.cache);
+            }
+            // Loaded now so that a missing phrase list shows up at startup rather than on the first call.
+            if (config.speech.provider === 'azure') {
+                getPhrases(config.azure.stt, logger);
+            }
+        } catch (err) {
+            logger.error('Failed to initialize the application:', err);
+            process.exit(1);
+        }
 
-            this.ariClient.on('StasisEnd', (event, channel) => {
-                const callState = this.activeCalls.get(channel.id);
-                if (callState) {
-                    callState.logger.info(`Main channel ${channel.id} left Stasis. Cleaning up associated resources.`);
-                    this.cleanup(callState);
-                    this.activeCalls.delete(channel.id);
-                }
-            });
+        await this.connect();
+
+        // Pre-warm in the background so startup is not delayed by synthesis.
+        this.prewarmTtsCache();
+    }
+
+    /**
+     * Connects to ARI and registers the Stasis application, retrying with an
+     * exponential backoff until it succeeds (or the app shuts down).
+     * Orphaned resources are reaped after every successful connection.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        const { initialDelay, maxDelay } = config.ari.reconnect;
+        let delay = initialDelay;
+
+        for (let attempt = 1; !this.isShuttingDown; attempt++) {
+            let client = null;
+            try {
+                client = await AriClient.connect(config.ari.url, config.ari.username, config.ari.password);
+                logger.info('Connected to Asterisk ARI');
+                this.registerEventHandlers(client);
+                await client.start(config.ari.appName);
+            } catch (err) {
+                if (client) client.removeAllListeners();
+                logger.error(`Failed to connect or start ARI client (attempt ${attempt}). Retrying in ${delay} ms.`, err);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay = Math.min(delay * 2, maxDelay);
+                continue;
+            }
 
-            this.ariClient.start(config.ari.appName);
+            const isReplacingClient = Boolean(this.ariClient) && this.ariClient !== client;
+            if (isReplacingClient) {
+                this.ariClient.removeAllListeners();
+            }
+            this.ariClient = client;
             logger.info(`ARI application '${config.ari.appName}' started.`);
+            this.registerConnectionHandlers(client);
+            if (isReplacingClient) {
+                await this.handBackActiveCalls();
+            }
+            await this.reapOrphanedResources();
+            return;
+        }
+    }
+
+    registerEventHandlers(client) {
+        client.on('StasisStart', (event, channel) => {
+            // Ignore channels that are marked as internal, or channels that don't have a caller property.
+            if ((event.args && event.args.includes('internal')) || !channel.caller.number) {
+                createLogger({ config }).info(`Ignoring internal or caller-less channel ${channel.id} entering Stasis.`);
+                // We answer these channels to ensure they are properly handled and don't get stuck.
+                channel.answer().catch(err => createLogger({ config }).error(`Failed to answer internal channel ${channel.id}:`, err));
+                return;
+            }
+            if (this.isShuttingDown) {
+                this.rejectCall(channel);
+                return;
+            }
+            this.handleCall(channel);
+        });
+
+        client.on('StasisEnd', (event, channel) => {
+            const callState = this.activeCalls.get(channel.id);
+            if (callState) {
+                callState.logger.info(`Main channel ${channel.id} left Stasis. Cleaning up associated resources.`);
+                this.cleanup(callState);
+                this.activeCalls.delete(channel.id);
+            }
+        });
+    }
+
+    /**
+     * Watches the WebSocket of a started client. ari-client retries a dropped
+     * WebSocket on its own a limited number of times; once it gives up, a new
+     * client is connected from scratch.
+     */
+    registerConnectionHandlers(client) {
+        client.on('WebSocketReconnecting', (err) => {
+            logger.warn(`ARI WebSocket connection lost${err ? ` (${err.message})` : ''}. Reconnecting...`);
+        });
+        client.on('WebSocketConnected', () => {
+            logger.info('ARI WebSocket reconnected.');
+            this.reapOrphanedResources();
+        });
+        client.on('WebSocketMaxRetries', () => {
+            if (this.isShuttingDown || client !== this.ariClient) return;
+            logger.error('ARI WebSocket could not be re-established. Connecting a new ARI client.');
+            this.connect();
+        });
+    }
+
+    /**
+     * Returns the active calls to the dialplan after the ARI client has been
+     * replaced. The channel, playback and bridge events of a call are bound to
+     * the client that started it, so the new client would never deliver them.
+     * The calls get RECOGNITION_MODE=ERROR with RECOGNITION_ERROR_CODE=ARI_RECONNECTED,
+     * and are cleaned up on their StasisEnd as usual.
+     * @returns {Promise<void>}
+     */
+    async handBackActiveCalls() {
+        const calls = Array.from(this.activeCalls.values()).filter(callState => !callState.isFinished);
+        if (calls.length === 0) return;
+        logger.warn(`Returning ${calls.length} active calls to the dialplan after connecting a new ARI client.`);
+        await Promise.all(calls.map(async (callState) => {
+            try {
+                await this.abortAttempt(callState, 'ARI reconnection');
+                callState.recognitionMode = 'error';
+                callState.errorCode = 'ARI_RECONNECTED';
+                await this.continueInDialplan(callState);
+            } catch (err) {
+                callState.logger.error('Error returning the call to the dialplan after an ARI reconnection:', err);
+            }
+        }));
+    }
+
+    /**
+     * Builds the ID of a bridge or channel created for a call and records it as
+     * owned by the call, before the resource exists in Asterisk.
+     * @param {object} callState
+     * @param {string} kind - 'snoop', 'media', 'tts' or 'bridge'.
+     * @returns {string}
+     */
+    createInternalId(callState, kind) {
+        const id = `${INTERNAL_ID_PREFIX}${kind}-${uuidv4()}`;
+        callState.internalResourceIds.add(id);
+        return id;
+    }
 
+    /**
+     * Destroys the bridges and channels created by this app that no longer
+     * belong to an active call, e.g. because their StasisEnd was missed while
+     * ARI was disconnected or because the previous process crashed. Calls whose
+     * main channel no longer exists are cleaned up first.
+     * @returns {Promise<void>}
+     */
+    async reapOrphanedResources() {
+        let channels;
+        let bridges;
+        try {
+            [channels, bridges] = await Promise.all([this.ariClient.channels.list(), this.ariClient.bridges.list()]);
         } catch (err) {
-            logger.error('Failed to connect or start ARI client:', err);
-            process.exit(1);
+            logger.error('Failed to list ARI channels and bridges to reap orphaned resources:', err);
+            return;
+        }
+
+        const liveChannelIds = new Set(channels.map(channel => channel.id));
+        for (const [channelId, callState] of Array.from(this.activeCalls)) {
+            if (!liveChannelIds.has(channelId)) {
+                callState.logger.warn(`Main channel ${channelId} no longer exists. Cleaning up the call.`);
+                this.activeCalls.delete(channelId);
+                await this.cleanup(callState);
+            }
+        }
+
+        const ownedIds = new Set();
+        for (const callState of this.activeCalls.values()) {
+            callState.internalResourceIds.forEach(id => ownedIds.add(id));
+        }
+        const isOrphan = (resource) => INTERNAL_ID_PATTERN.test(resource.id) && !ownedIds.has(resource.id);
+
+        let reaped = 0;
+        for (const channel of channels.filter(isOrphan)) {
+            try {
+                await channel.hangup();
+                reaped++;
+            } catch (err) {
+                logger.warn(`Failed to hang up orphaned channel ${channel.id}:`, err);
+            }
+        }
+        for (const bridge of bridges.filter(isOrphan)) {
+            try {
+                await bridge.destroy();
+                reaped++;
+            } catch (err) {
+                logger.warn(`Failed to destroy orphaned bridge ${bridge.id}:`, err);
+            }
+        }
+        if (reaped > 0) {
+            logger.info(`Reaped ${reaped} orphaned ARI channels and bridges.`);
+        }
+    }
+
+    /**
+     * Returns a call that arrived during shutdown to the dialplan untouched,
+     * with RECOGNITION_MODE=UNAVAILABLE so that it can be routed elsewhere.
+     */
+    async rejectCall(channel) {
+        logger.warn(`Shutting down. Returning new channel ${channel.id} to the dialplan.`);
+        try {
+            await channel.setChannelVar({ variable: 'RECOGNITION_MODE', value: 'UNAVAILABLE' });
+            await channel.continueInDialplan();
+        } catch (err) {
+            logger.error(`Failed to return channel ${channel.id} to the dialplan during shutdown:`, err);
+        }
+    }
+
+    /**
+     * Drains the active calls before the process exits:
+     *  1. New calls are returned to the dialplan (see rejectCall()).
+     *  2. Calls that are not in the middle of a recognition or a DTMF entry are
+     *     ended at once; the others get until `app.shutdown.drainTimeout` to finish.
+     *  3. Calls still running at the deadline are ended as a session timeout.
+     *     Ended calls always return to the dialplan, whatever TIMEOUT_ACTION says.
+     *  4. Every call is cleaned up and pending database writes are flushed.
+     * Closing the database is left to the caller.
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        if (this.isShuttingDown) return;
+        this.isShuttingDown = true;
+        const drainTimeout = config.app.shutdown.drainTimeout;
+        logger.info(`Shutting down with ${this.activeCalls.size} active calls. Waiting up to ${drainTimeout} ms for in-flight recognitions.`);
+
+        // A recognition stopped by the end of speech is still in flight until its result arrives.
+        const isInFlight = (callState) => callState.isRecognizing || callState.isAwaitingResult || callState.recognitionMode === 'dtmf';
+        const endCall = async (callState) => {
+            if (callState.isFinished) return;
+            try {
+                await this.abortAttempt(callState, 'Shutdown');
+                callState.recognitionMode = 'timeout';
+                await this.continueInDialplan(callState);
+            } catch (err) {
+                callState.logger.error('Error ending call during shutdown:', err);
+            }
+        };
+
+        await Promise.all(Array.from(this.activeCalls.values())
+            .filter(callState => !callState.isFinished && !isInFlight(callState))
+            .map(endCall));
+
+        const deadline = Date.now() + drainTimeout;
+        const hasUnfinishedCalls = () => Array.from(this.activeCalls.values()).some(callState => !callState.isFinished);
+        while (hasUnfinishedCalls() && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        const remaining = Array.from(this.activeCalls.values()).filter(callState => !callState.isFinished);
+        if (remaining.length > 0) {
+            logger.warn(`Shutdown deadline reached. Ending ${remaining.length} calls that are still recognizing.`);
+            await Promise.all(remaining.map(endCall));
+        }
+
+        // Removed from activeCalls first so that a late StasisEnd does not clean them up twice.
+        for (const [channelId, callState] of Array.from(this.activeCalls)) {
+            this.activeCalls.delete(channelId);
+            await this.cleanup(callState);
+        }
+
+        if (this.pendingWrites.size > 0) {
+            logger.info(`Waiting for ${this.pendingWrites.size} pending interaction writes.`);
+            await Promise.allSettled(Array.from(this.pendingWrites));
+        }
+
+        if (this.ariClient) {
+            try {
+                this.ariClient.stop();
+            } catch (err) {
+                logger.warn('Error closing the ARI connection:', err);
+            }
+        }
+        logger.info('Shutdown complete.');
+    }
+
+    async prewarmTtsCache() {
+        const { enabled, prewarmFile } = config.app.tts.cache;
+        if (!enabled || !prewarmFile) return;
+
+        let prompts;
+        try {
+            const data = await fs.readFile(prewarmFile, 'utf8');
+            prompts = data.split('\n').map(p => p.trim()).filter(p => p.length > 0);
+        } catch (err) {
+            logger.error(`Error reading TTS cache pre-warm file '${prewarmFile}':`, err);
+            return;
         }
+
+        logger.info(`Pre-warming TTS cache with ${prompts.length} prompts from ${prewarmFile}`);
+        const speechProvider = createSpeechProvider(config, logger);
+        const sampleRate = getTtsSampleRate(config.azure.tts.outputFormat);
+        let synthesized = 0;
+
+        for (const text of prompts) {
+            const options = { ssml: isSsmlInput(text, config.app.tts.textFormat) };
+            const cacheKey = this.getTtsCacheKey(config, text, options);
+            if (ttsCache.has(cacheKey)) continue;
+            try {
+                const audioStream = await speechProvider.synthesizeText(text, options);
+                const chunks = [];
+                await new Promise((resolve, reject) => {
+                    audioStream.on('data', chunk => chunks.push(chunk));
+                    audioStream.on('end', resolve);
+                    audioStream.on('error', reject);
+                });
+                if (await ttsCache.store(cacheKey, Buffer.concat(chunks), sampleRate)) {
+                    synthesized++;
+                }
+            } catch (err) {
+                logger.error(`Failed to pre-warm TTS cache for prompt "${text}":`, err);
+            }
+        }
+        logger.info(`TTS cache pre-warm finished. ${synthesized} prompts synthesized, ${prompts.length - synthesized} already cached or failed.`);
+    }
+
+    getTtsCacheKey(callConfig, text, { ssml = false } = {}) {
+        const { voiceName, voiceGender, language, outputFormat, style, styleDegree, rate, pitch, volume } = callConfig.azure.tts;
+        return ttsCache.buildKey({
+            provider: callConfig.speech.provider,
+            text,
+            ssml,
+            voice: voiceName,
+            voiceGender,
+            language,
+            outputFormat,
+            style,
+            styleDegree,
+            rate,
+            pitch,
+            volume,
+        });
     }
 
     async getDialplanVariables(channel, logger) {
@@ -67,9 +429,23 @@ class App {
 
             // Fallback to a predefined list of variables
             const varsToCheck = [
-                'LOG_LEVEL',
+                'LOG_LEVEL', 'LOG_CAPTURE_CALL', 'SPEECH_PROVIDER',
                 'AZURE_TTS_LANGUAGE', 'AZURE_TTS_VOICE_NAME', 'AZURE_STT_LANGUAGE',
-                'PROMPT_MODE', 'PLAYBACK_FILE_PATH', 'VAD_ACTIVATION_MODE'
+                'AZURE_STT_PHRASE_LISTS', 'AZURE_STT_PHRASES',
+                'AZURE_STT_CANDIDATE_LANGUAGES', 'AZURE_STT_LANGUAGE_ID_MODE', 'AZURE_TTS_VOICES_BY_LANGUAGE',
+                'AZURE_STT_TRANSLATION_LANGUAGES', 'AZURE_STT_OUTPUT_FORMAT', 'AZURE_STT_INITIAL_SILENCE_TIMEOUT_MS',
+                'AZURE_STT_END_SILENCE_TIMEOUT_MS', 'AZURE_STT_SEGMENTATION_SILENCE_TIMEOUT_MS', 'AZURE_STT_PROFANITY',
+                'AZURE_STT_WORD_TIMESTAMPS', 'AZURE_STT_DICTATION', 'AZURE_STT_ENDPOINT_ID',
+                'AZURE_TTS_VOICE_GENDER', 'AZURE_TTS_STYLE', 'AZURE_TTS_STYLE_DEGREE', 'AZURE_TTS_RATE', 'AZURE_TTS_PITCH', 'AZURE_TTS_VOLUME',
+                'TTS_TEXT_FORMAT', 'TTS_PLAYBACK_MODE', 'TTS_FALLBACK_PROMPT_FILE', 'PROMPT_TEMPLATES_DIR', 'PROMPT_CURRENCY',
+                'PROMPT_MODE', 'PLAYBACK_FILE_PATH', 'VAD_ACTIVATION_MODE', 'VAD_ENGINE', 'VAD_PLAYLIST_SEGMENT',
+                'VAD_ENERGY_THRESHOLD', 'VAD_MAX_ZERO_CROSSING_RATE', 'VAD_MIN_SPEECH_MS', 'VAD_HANGOVER_MS',
+                'MAX_ATTEMPTS', 'NO_MATCH_PROMPT', 'NO_MATCH_PROMPT_FILE', 'NO_INPUT_PROMPT', 'NO_INPUT_PROMPT_FILE',
+                'VALIDATION_TYPE', 'VALIDATION_MIN_LENGTH', 'VALIDATION_MAX_LENGTH', 'VALIDATION_PATTERN',
+                'VALIDATION_LIST_FILE', 'VALIDATION_FUZZY_THRESHOLD', 'STT_MIN_CONFIDENCE', 'STT_MAX_ALTERNATIVES', 'STT_CONFIRM_PROMPT',
+                'DICTATION_MODE', 'DICTATION_MAX_DURATION_MS', 'DICTATION_SILENCE_TIMEOUT_MS', 'DICTATION_TERMINATOR_KEYS',
+                'DTMF_ONLY', 'DTMF_MAX_DIGITS', 'DTMF_TERMINATOR_KEYS', 'DTMF_CLEAR_KEY', 'DTMF_FIRST_DIGIT_TIMEOUT_MS',
+                'DIALOG_WEBHOOK_URL', 'DIALOG_WEBHOOK_TIMEOUT_MS', 'DIALOG_MAX_TURNS'
             ];
             const channelVars = {};
             for (const v of varsToCheck) {
@@ -96,37 +472,110 @@ class App {
             'ARI_USERNAME': 'ari.username',
             'ARI_PASSWORD': 'ari.password',
             'ARI_APP_NAME': 'ari.appName',
+            // Speech Provider
+            'SPEECH_PROVIDER': 'speech.provider',
+            'LOCAL_STT_TRANSCRIPTS_FILE': 'speech.local.transcriptsFile',
+            'LOCAL_STT_DEFAULT_TRANSCRIPT': 'speech.local.defaultTranscript',
+            'LOCAL_TTS_TONE_FREQUENCY': 'speech.local.ttsToneFrequency',
             // Azure General
             'AZURE_SPEECH_SUBSCRIPTION_KEY': 'azure.subscriptionKey',
             'AZURE_SPEECH_REGION': 'azure.region',
+            'AZURE_SPEECH_SECONDARY_SUBSCRIPTION_KEY': 'azure.secondary.subscriptionKey',
+            'AZURE_SPEECH_SECONDARY_REGION': 'azure.secondary.region',
             // Azure TTS
             'AZURE_TTS_LANGUAGE': 'azure.tts.language',
             'AZURE_TTS_VOICE_NAME': 'azure.tts.voiceName',
             'AZURE_TTS_OUTPUT_FORMAT': 'azure.tts.outputFormat',
+            'AZURE_TTS_VOICE_GENDER': 'azure.tts.voiceGender',
+            'AZURE_TTS_STYLE': 'azure.tts.style',
+            'AZURE_TTS_STYLE_DEGREE': 'azure.tts.styleDegree',
+            'AZURE_TTS_RATE': 'azure.tts.rate',
+            'AZURE_TTS_PITCH': 'azure.tts.pitch',
+            'AZURE_TTS_VOLUME': 'azure.tts.volume',
+            'AZURE_TTS_VOICES_BY_LANGUAGE': 'azure.tts.voicesByLanguage',
             // Azure STT
             'AZURE_STT_LANGUAGE': 'azure.stt.language',
             'AZURE_STT_PHRASE_LIST_FILE_PATH': 'azure.stt.phraseListFilePath',
+            'AZURE_STT_PHRASE_LISTS_DIR': 'azure.stt.phraseListsDir',
+            'AZURE_STT_PHRASE_LISTS': 'azure.stt.phraseLists',
+            'AZURE_STT_PHRASES': 'azure.stt.phrases',
+            'AZURE_STT_OUTPUT_FORMAT': 'azure.stt.outputFormat',
+            'AZURE_STT_CANDIDATE_LANGUAGES': 'azure.stt.candidateLanguages',
+            'AZURE_STT_LANGUAGE_ID_MODE': 'azure.stt.languageIdMode',
+            'AZURE_STT_TRANSLATION_LANGUAGES': 'azure.stt.translationLanguages',
+            'AZURE_STT_INITIAL_SILENCE_TIMEOUT_MS': 'azure.stt.initialSilenceTimeout',
+            'AZURE_STT_END_SILENCE_TIMEOUT_MS': 'azure.stt.endSilenceTimeout',
+            'AZURE_STT_SEGMENTATION_SILENCE_TIMEOUT_MS': 'azure.stt.segmentationSilenceTimeout',
+            'AZURE_STT_PROFANITY': 'azure.stt.profanity',
+            'AZURE_STT_WORD_TIMESTAMPS': 'azure.stt.wordTimestamps',
+            'AZURE_STT_DICTATION': 'azure.stt.dictation',
+            'AZURE_STT_ENDPOINT_ID': 'azure.stt.endpointId',
             // App Behavior
             'VAD_ACTIVATION_MODE': 'app.vad.activationMode',
             'VAD_ACTIVATION_DELAY_MS': 'app.vad.activationDelay',
+            'VAD_ENGINE': 'app.vad.engine',
+            'VAD_PLAYLIST_SEGMENT': 'app.vad.playlistSegment',
+            'VAD_ENERGY_THRESHOLD': 'app.vad.energy.energyThreshold',
+            'VAD_MAX_ZERO_CROSSING_RATE': 'app.vad.energy.maxZeroCrossingRate',
+            'VAD_MIN_SPEECH_MS': 'app.vad.energy.minSpeechMs',
+            'VAD_HANGOVER_MS': 'app.vad.energy.hangoverMs',
             'TALK_DETECT_SILENCE_THRESHOLD': 'app.talkDetect.silenceThreshold',
             'TALK_DETECT_SPEECH_THRESHOLD': 'app.talkDetect.speechThreshold',
             'PROMPT_MODE': 'app.prompt.mode',
             'PLAYBACK_FILE_PATH': 'app.prompt.playbackPath',
+            'TTS_PLAYBACK_MODE': 'app.tts.playbackMode',
+            'TTS_TEXT_FORMAT': 'app.tts.textFormat',
+            'TTS_FALLBACK_PROMPT_FILE': 'app.tts.fallbackPromptFile',
+            'PROMPT_TEMPLATES_DIR': 'app.templates.directory',
+            'PROMPT_CURRENCY': 'app.templates.currency',
+            'TTS_CACHE_ENABLED': 'app.tts.cache.enabled',
             // Timeouts
             'ARI_SESSION_TIMEOUT_MS': 'app.timeouts.session',
             'NO_INPUT_TIMEOUT_MS': 'app.timeouts.noInput',
+            'TIMEOUT_ACTION': 'app.timeouts.action',
+            // Retries
+            'MAX_ATTEMPTS': 'app.retry.maxAttempts',
+            'NO_MATCH_PROMPT': 'app.retry.noMatch.promptText',
+            'NO_MATCH_PROMPT_FILE': 'app.retry.noMatch.promptFile',
+            'NO_INPUT_PROMPT': 'app.retry.noInput.promptText',
+            'NO_INPUT_PROMPT_FILE': 'app.retry.noInput.promptFile',
+            // Validation
+            'VALIDATION_TYPE': 'app.validation.type',
+            'VALIDATION_MIN_LENGTH': 'app.validation.minLength',
+            'VALIDATION_MAX_LENGTH': 'app.validation.maxLength',
+            'VALIDATION_PATTERN': 'app.validation.pattern',
+            'VALIDATION_LIST_FILE': 'app.validation.listFile',
+            'VALIDATION_FUZZY_THRESHOLD': 'app.validation.fuzzyThreshold',
+            // Confidence
+            'STT_MIN_CONFIDENCE': 'app.confidence.minimum',
+            'STT_MAX_ALTERNATIVES': 'app.confidence.maxAlternatives',
+            'STT_CONFIRM_PROMPT': 'app.confidence.confirmPrompt',
             // RTP
             'RTP_PREBUFFER_SIZE': 'rtpServer.preBufferSize',
             // DTMF
             'ENABLE_DTMF': 'app.dtmf.enabled',
             'DTMF_COMPLETION_TIMEOUT_MS': 'app.dtmf.completionTimeout',
+            'DTMF_FIRST_DIGIT_TIMEOUT_MS': 'app.dtmf.firstDigitTimeout',
+            'DTMF_MAX_DIGITS': 'app.dtmf.maxDigits',
+            'DTMF_TERMINATOR_KEYS': 'app.dtmf.terminatorKeys',
+            'DTMF_CLEAR_KEY': 'app.dtmf.clearKey',
+            'DTMF_ONLY': 'app.dtmf.only',
+            // Dictation
+            'DICTATION_MODE': 'app.dictation.enabled',
+            'DICTATION_MAX_DURATION_MS': 'app.dictation.maxDuration',
+            'DICTATION_SILENCE_TIMEOUT_MS': 'app.dictation.silenceTimeout',
+            'DICTATION_TERMINATOR_KEYS': 'app.dictation.terminatorKeys',
+            // Dialog
+            'DIALOG_WEBHOOK_URL': 'app.dialog.webhookUrl',
+            'DIALOG_WEBHOOK_TIMEOUT_MS': 'app.dialog.timeout',
+            'DIALOG_MAX_TURNS': 'app.dialog.maxTurns',
             // External Media Server
             'EXTERNAL_MEDIA_SERVER_IP': 'rtpServer.ip',
             'EXTERNAL_MEDIA_SERVER_PORT': 'rtpServer.port',
             'EXTERNAL_MEDIA_AUDIO_FORMAT': 'rtpServer.audioFormat',
             // Logging
             'LOG_LEVEL': 'logging.level',
+            'LOG_CAPTURE_CALL': 'logging.captureCall',
             // Database
             'DB_DIALECT': 'database.dialect',
             'DB_STORAGE': 'database.storage',
@@ -142,14 +591,27 @@ class App {
                 'VAD_ACTIVATION_DELAY_MS', 'TALK_DETECT_SILENCE_THRESHOLD',
                 'TALK_DETECT_SPEECH_THRESHOLD', 'ARI_SESSION_TIMEOUT_MS',
                 'NO_INPUT_TIMEOUT_MS', 'RTP_PREBUFFER_SIZE',
-                'DTMF_COMPLETION_TIMEOUT_MS', 'EXTERNAL_MEDIA_SERVER_PORT', 'DB_PORT'
+                'DTMF_COMPLETION_TIMEOUT_MS', 'EXTERNAL_MEDIA_SERVER_PORT', 'DB_PORT',
+                'LOCAL_TTS_TONE_FREQUENCY', 'MAX_ATTEMPTS',
+                'VALIDATION_MIN_LENGTH', 'VALIDATION_MAX_LENGTH',
+                'DTMF_FIRST_DIGIT_TIMEOUT_MS', 'DTMF_MAX_DIGITS',
+                'VAD_ENERGY_THRESHOLD', 'VAD_MIN_SPEECH_MS', 'VAD_HANGOVER_MS',
+                'DIALOG_WEBHOOK_TIMEOUT_MS', 'DIALOG_MAX_TURNS', 'STT_MAX_ALTERNATIVES',
+                'DICTATION_MAX_DURATION_MS', 'DICTATION_SILENCE_TIMEOUT_MS',
+                'AZURE_STT_INITIAL_SILENCE_TIMEOUT_MS', 'AZURE_STT_END_SILENCE_TIMEOUT_MS', 'AZURE_STT_SEGMENTATION_SILENCE_TIMEOUT_MS'
             ];
-            const boolKeys = ['ENABLE_DTMF'];
+            const floatKeys = ['VALIDATION_FUZZY_THRESHOLD', 'VAD_MAX_ZERO_CROSSING_RATE', 'STT_MIN_CONFIDENCE'];
+            const boolKeys = ['ENABLE_DTMF', 'TTS_CACHE_ENABLED', 'DTMF_ONLY', 'LOG_CAPTURE_CALL', 'DICTATION_MODE',
+                'AZURE_STT_WORD_TIMESTAMPS', 'AZURE_STT_DICTATION'];
 
             if (intKeys.includes(key)) {
                 const num = parseInt(value, 10);
                 return isNaN(num) ? null : num;
             }
+            if (floatKeys.includes(key)) {
+                const num = parseFloat(value);
+                return isNaN(num) ? null : num;
+            }
             if (boolKeys.includes(key)) {
                 return value.toLowerCase() === 'true';
             }
@@ -193,14 +655,11 @@ class App {
         const callConfig = this.createCallConfig(dialplanVars, setupLogger);
 
         // 3. Now, create the definitive logger for this call using the final configuration.
-        const logger = createLogger({ context: { uniqueId, callerId }, config: callConfig });
+        // With LOG_CAPTURE_CALL it also keeps the call's entries, saved with its recordings on cleanup.
+        const logger = createLogger({ context: { uniqueId, callerId }, config: callConfig, capture: callConfig.logging.captureCall });
 
-        // Log the final configuration using the new logger, redacting sensitive data.
-        const redactedConfig = cloneDeep(callConfig);
-        if (redactedConfig.azure && redactedConfig.azure.subscriptionKey) {
-            redactedConfig.azure.subscriptionKey = '[REDACTED]';
-        }
-        logger.debug({ finalConfig: redactedConfig }, 'Final configuration for the call');
+        // The logger redacts secrets such as the subscription key.
+        logger.debug({ finalConfig: callConfig }, 'Final configuration for the call');
 
         logger.info(`Incoming call`);
 
@@ -209,26 +668,64 @@ class App {
             logger,
             mainChannel: channel,
             config: callConfig,
-            azureService: new AzureService(callConfig, logger),
+            speechProvider: null,
             userBridge: null,
             snoopChannel: null,
             snoopBridge: null,
             externalMediaChannel: null,
             rtpServer: null,
+            vad: null, // EnergyVad when VAD_ENGINE is 'energy'
+            ttsChannel: null, // External media channel in the user bridge used to stream TTS
+            ttsRtpServer: null,
+            ttsCodec: null,
+            codec: null, // Codec of the external media audio, see audio-converter.js
             sttPushStream: null,
-            isRecognizing: false,
+            isRecognizing: false, // Audio is being streamed to the speech provider
+            isAwaitingResult: false, // A recognition session is open, until its result arrives
+            interimTranscript: '',
             finalTranscript: '',
             finalTranscriptDetailed: null,
             playback: null,
             recognitionPromise: null, // To await the final transcript
             isPlayingPrompt: false,
+            isPromptInterrupted: false, // Set by a barge-in, stops the rest of a playlist
+            isVadAnchorSegment: true, // The prompt segment VAD_ACTIVATION_MODE applies to is playing
+            silence: null, // { timer, resolve } during a playlist silence segment
             timers: {
                 session: null,
                 noInput: null,
+                firstDigit: null, // DTMF_FIRST_DIGIT_TIMEOUT_MS when voice is also expected
                 dtmf: null,
+                dictation: null, // DICTATION_MAX_DURATION_MS
+                dictationSilence: null, // DICTATION_SILENCE_TIMEOUT_MS
             },
             dtmfDigits: '',
-            recognitionMode: 'voice', // Can be 'voice' or 'dtmf'
+            dtmfTerminator: '', // The terminator key that ended DTMF collection, if any
+            dtmfTerminationReason: null, // 'terminator', 'max_digits' or 'timeout'
+            recognitionMode: 'voice', // Can be 'voice', 'dtmf', 'no_input', 'timeout' or 'error'
+            errorCode: null, // Why the recognition failed, when recognitionMode is 'error'
+            isFinished: false, // Set once the call has been returned to the dialplan or hung up
+            hungUp: false, // Set when the channel leaves Stasis before the call is finished, see cleanup()
+            startTime: Date.now(),
+            attempt: 1,
+            currentPrompt: null, // The prompt of the current turn, repeated on retries
+            listenAfterPrompt: true, // False for dialog prompts that are not followed by a 'listen'
+            interactionSaved: false, // The Interaction of the current turn has been saved
+            turn: 1, // Dialog mode: number of the current turn
+            dialogVariables: {}, // Dialog mode: variables set by the webhook
+            dialogStatus: null, // Dialog mode: how the dialog ended, set as DIALOG_STATUS
+            isAwaitingDialog: false, // Dialog mode: waiting for the webhook
+            internalResourceIds: new Set(), // IDs of the bridges and channels created for this call
+            validation: null, // { status, normalized } once the input has been validated
+            confidence: null, // Confidence of the voice result (0 to 1), if the provider gives one
+            alternatives: [], // Other hypotheses of the voice result, [{ text, confidence }]
+            confirmation: null, // The low-confidence result the caller is asked to confirm, see startConfirmation()
+            confirmationStatus: null, // 'CONFIRMED' or 'REJECTED' once the caller has answered
+            detectedLanguage: null, // Language identified by the speech provider, kept for the rest of the call
+            translations: null, // Translation of the voice result to each AZURE_STT_TRANSLATION_LANGUAGES, { es: '...' }
+            segments: [], // Dictation mode: the recognized phrases with their times, [{ text, startMs, endMs }]
+            dictationEndReason: null, // Dictation mode: 'max_duration', 'silence', 'terminator' or 'hangup'
+            talkListeners: null, // Set while talk detection is armed, see enableTalkDetection()
             sttAudioChunks: [],
             sttAudioPath: null,
         };
@@ -236,29 +733,47 @@ class App {
         this.activeCalls.set(channel.id, callState);
 
         try {
+            // config.js only checks the credentials when Azure is the global provider.
+            const usesAzure = (callConfig.speech.provider || 'azure').toLowerCase() === 'azure';
+            if (usesAzure && (!callConfig.azure.subscriptionKey || !callConfig.azure.region)) {
+                throw new Error('The call uses the Azure speech provider, but AZURE_SPEECH_SUBSCRIPTION_KEY or AZURE_SPEECH_REGION is not configured.');
+            }
+            callState.speechProvider = createSpeechProvider(callConfig, logger);
+            logger.info(`Using speech provider '${callConfig.speech.provider}'.`);
+
+            if (callConfig.app.dictation.enabled && callConfig.app.timeouts.session > 0 && callConfig.app.timeouts.session <= callConfig.app.dictation.maxDuration) {
+                logger.warn(`ARI_SESSION_TIMEOUT_MS (${callConfig.app.timeouts.session} ms) is not longer than DICTATION_MAX_DURATION_MS (${callConfig.app.dictation.maxDuration} ms). Long dictations will be cut by the session timeout.`);
+            }
+
             // Start session timeout
             if (callConfig.app.timeouts.session > 0) {
                 callState.timers.session = setTimeout(() => {
-                    logger.warn(`Session timeout reached for channel ${channel.id}. Hanging up.`);
-                    channel.hangup().catch(e => logger.error(`Error hanging up channel on session timeout:`, e));
+                    logger.warn(`Session timeout reached for channel ${channel.id}.`);
+                    this.handleTimeout(callState, 'timeout');
                 }, callConfig.app.timeouts.session);
             }
 
             await channel.answer();
             logger.info(`Channel ${channel.id} answered.`);
 
-            const textToSpeakVar = await channel.getChannelVar({ variable: 'TEXT_TO_SPEAK' });
-            if (!textToSpeakVar || !textToSpeakVar.value) {
-                throw new Error('TEXT_TO_SPEAK variable not set on the channel.');
+            // In dialog mode the first prompt may come from the webhook instead.
+            const isDialog = Boolean(callConfig.app.dialog.webhookUrl);
+            const initialPrompt = await this.getInitialPrompt(callState, dialplanVars);
+            if (!initialPrompt && !isDialog) {
+                throw new Error('None of TEXT_TO_SPEAK, PROMPT_TEMPLATE or PROMPT_PLAYLIST is set on the channel.');
             }
-            const textToSpeak = textToSpeakVar.value;
-            callState.textToSynthesize = textToSpeak;
+            callState.textToSynthesize = describePrompt(initialPrompt);
 
             // 1. Setup audio snooping
             await this.setupAudioSnooping(callState);
 
-            // 3. Handle the prompt (TTS or Playback) in the background.
-            this.handlePrompt(callState, textToSpeak);
+            // 3. Handle the prompt (TTS, Playback or a playlist) in the background.
+            if (initialPrompt) {
+                callState.currentPrompt = initialPrompt;
+                this.handlePrompt(callState, callState.currentPrompt);
+            } else {
+                this.runDialogTurn(callState, 'start');
+            }
 
             // 4. The call will now wait until the user hangs up or recognition completes.
             // The logic continues in the StasisEnd handler or after recognitionPromise resolves.
@@ -266,65 +781,247 @@ class App {
 
         } catch (err) {
             logger.error(`Error handling call:`, err);
+            metrics.callsTotal.inc({ outcome: 'ERROR' });
             // The StasisEnd handler will trigger cleanup for this call
         }
     }
 
+    /**
+     * Returns the first prompt of the call, from the first channel variable set of
+     * PROMPT_PLAYLIST, PROMPT_TEMPLATE and TEXT_TO_SPEAK, with its {{VAR}} placeholders filled.
+     * @param {object} callState
+     * @param {object} dialplanVars - The variables returned by getDialplanVariables().
+     * @returns {Promise<object|null>} A prompt descriptor for handlePrompt(), or null if none of them is set.
+     */
+    async getInitialPrompt(callState, dialplanVars) {
+        const { mainChannel, logger, config: callConfig } = callState;
+        const readVar = async (name) => {
+            const result = await mainChannel.getChannelVar({ variable: name }).catch(() => null);
+            return result && result.value;
+        };
+
+        const playlist = await readVar('PROMPT_PLAYLIST');
+        if (playlist) {
+            const segments = parsePlaylist(playlist);
+            for (const segment of segments) {
+                if (segment.type === 'tts' || segment.type === 'ssml') {
+                    const field = segment.type === 'tts' ? 'text' : 'ssml';
+                    segment[field] = await this.fillPromptVariables(callState, segment[field], segment.type === 'ssml', dialplanVars);
+                }
+            }
+            logger.info(`Using a prompt playlist of ${segments.length} segments.`);
+            return { mode: 'playlist', segments };
+        }
+
+        let prompt;
+        const templateId = await readVar('PROMPT_TEMPLATE');
+        if (templateId) {
+            prompt = await loadTemplate(callConfig.app.templates.directory, templateId);
+            logger.info(`Using prompt template '${templateId}'.`);
+        } else {
+            const textToSpeak = await readVar('TEXT_TO_SPEAK');
+            if (!textToSpeak) return null;
+            prompt = { text: textToSpeak, ssml: isSsmlInput(textToSpeak, callConfig.app.tts.textFormat) };
+        }
+
+        return {
+            mode: callConfig.app.prompt.mode,
+            text: await this.fillPromptVariables(callState, prompt.text, prompt.ssml, dialplanVars),
+            ssml: prompt.ssml,
+            filePath: callConfig.app.prompt.playbackPath,
+        };
+    }
+
+    /**
+     * Fills the {{VAR}} placeholders of a prompt text with channel variables, see prompt-templates.js.
+     * @param {object} callState
+     * @param {string} text
+     * @param {boolean} ssml - Whether the text is SSML, so the values are escaped.
+     * @param {object} dialplanVars - The variables returned by getDialplanVariables().
+     * @returns {Promise<string>}
+     */
+    async fillPromptVariables(callState, text, ssml, dialplanVars) {
+        const { mainChannel, logger, config: callConfig } = callState;
+        const names = getTemplateVariables(text);
+        if (names.length === 0) return text;
+
+        // Variables not fetched with the dialplan variables are read one by one,
+        // which also resolves dialplan functions such as CALLERID(name).
+        const variables = {};
+        for (const name of names) {
+            if (dialplanVars[name] !== undefined) {
+                variables[name] = dialplanVars[name];
+            } else {
+                const result = await mainChannel.getChannelVar({ variable: name }).catch(() => null);
+                variables[name] = result && result.value;
+            }
+        }
+        const { text: filled, missing } = renderTemplate(text, variables, {
+            language: callConfig.azure.tts.language,
+            currency: callConfig.app.templates.currency,
+            ssml,
+        });
+        if (missing.length > 0) {
+            logger.warn(`Prompt template variables without a value: ${missing.join(', ')}`);
+        }
+        logger.debug({ variables }, 'Filled prompt template');
+        return filled;
+    }
+
     setupStt(callState) {
-        const { azureService, logger } = callState;
+        const { speechProvider, logger } = callState;
         let recognitionResolve;
         callState.recognitionPromise = new Promise(resolve => {
             recognitionResolve = resolve;
         });
 
+        // Resolves with null if the recognition fails before it is ready.
+        let streamReadyResolve;
         const streamReadyPromise = new Promise(resolve => {
-            azureService.once('audioStreamReady', (pushStream) => {
-                callState.sttPushStream = pushStream;
-                resolve(pushStream);
-            });
+            streamReadyResolve = resolve;
         });
+        const onAudioStreamReady = (pushStream) => {
+            callState.sttPushStream = pushStream;
+            streamReadyResolve(pushStream);
+        };
+        speechProvider.once('audioStreamReady', onAudioStreamReady);
+        callState.isAwaitingResult = true;
+        callState.interimTranscript = '';
+        callState.speechEndTime = null;
 
-        azureService.startContinuousRecognition();
+        const onRecognizing = (event) => {
+            callState.interimTranscript = event.text;
+        };
 
-        azureService.once('recognitionEnded', (result) => {
+        // Only the first of these events settles this recognition. The other listener is
+        // removed so that listeners do not pile up when a call makes several attempts.
+        const onRecognitionEnded = (result) => {
+            speechProvider.removeListener('recognitionError', onRecognitionError);
+            speechProvider.removeListener('recognizing', onRecognizing);
+            callState.isAwaitingResult = false;
+            if (callState.speechEndTime) {
+                metrics.sttLatencySeconds.observe({ provider: callState.config.speech.provider }, (Date.now() - callState.speechEndTime) / 1000);
+            }
             logger.info(`Recognition ended. Final transcript: ${result.finalText}`);
             callState.finalTranscript = result.finalText;
             callState.finalTranscriptDetailed = result.detailed;
+            const { confidence, alternatives } = scoreRecognition(result.detailed, callState.config.app.confidence.maxAlternatives);
+            callState.confidence = confidence;
+            callState.alternatives = alternatives;
+            if (confidence !== null) {
+                logger.info(`Recognition confidence ${confidence} with ${alternatives.length} alternatives.`);
+            }
+            if (result.language) {
+                this.applyDetectedLanguage(callState, result.language);
+            }
+            callState.translations = result.translations || null;
+            if (callState.translations) {
+                logger.info({ translations: callState.translations }, 'Recognition translated.');
+            }
+            if (callState.config.app.dictation.enabled) {
+                callState.segments = getSegments(result.detailed);
+                logger.info(`Dictation of ${callState.segments.length} segments.`);
+            }
             recognitionResolve(result.finalText || ''); // Resolve with the final text
-        });
+        };
 
-        azureService.on('recognitionError', (err) => {
+        // The attempt ends with RECOGNITION_MODE=ERROR unless DTMF or a timeout has taken over.
+        const onRecognitionError = (err) => {
+            speechProvider.removeListener('recognitionEnded', onRecognitionEnded);
+            speechProvider.removeListener('recognizing', onRecognizing);
+            speechProvider.removeListener('audioStreamReady', onAudioStreamReady);
+            callState.isAwaitingResult = false;
+            callState.isRecognizing = false;
             logger.error(`STT Error:`, err);
+            if (callState.recognitionMode === 'voice') {
+                callState.recognitionMode = 'error';
+                callState.errorCode = err.code || 'STT_ERROR';
+            }
+            streamReadyResolve(null);
             recognitionResolve(''); // Resolve with an empty string on error to unblock the call flow
-        });
+        };
+
+        speechProvider.on('recognizing', onRecognizing);
+        speechProvider.once('recognitionEnded', onRecognitionEnded);
+        speechProvider.once('recognitionError', onRecognitionError);
+
+        // With AZURE_STT_TRANSLATION_LANGUAGES the recognized speech is also translated.
+        const audioFormat = { sampleRate: callState.codec.sampleRate };
+        const targetLanguages = callState.config.azure.stt.translationLanguages.split(',').map(l => l.trim()).filter(l => l.length > 0);
+        try {
+            if (targetLanguages.length > 0) {
+                speechProvider.startContinuousTranslation(audioFormat, targetLanguages);
+            } else {
+                speechProvider.startContinuousRecognition(audioFormat);
+            }
+        } catch (err) {
+            // e.g. a provider without translation.
+            speechProvider.emit('recognitionError', err);
+        }
 
         return streamReadyPromise;
     }
 
+    /**
+     * Records the language identified in a recognition and, if
+     * AZURE_TTS_VOICES_BY_LANGUAGE has a voice for it, uses that voice for the
+     * following prompts of the call.
+     * @param {object} callState
+     * @param {string} language - e.g. 'en-US'.
+     */
+    applyDetectedLanguage(callState, language) {
+        const { logger, config: callConfig } = callState;
+        if (callState.detectedLanguage !== language) {
+            logger.info(`Detected language: ${language}`);
+            callState.detectedLanguage = language;
+        }
+
+        const voiceName = getVoiceForLanguage(callConfig.azure.tts.voicesByLanguage, language);
+        if (!voiceName || voiceName === callConfig.azure.tts.voiceName) return;
+        logger.info(`Switching the TTS voice to ${voiceName} for ${language}.`);
+        callConfig.azure.tts.voiceName = voiceName;
+        callConfig.azure.tts.language = language;
+        // AZURE_TTS_VOICE_GENDER described the previous voice; the new one is looked up.
+        callConfig.azure.tts.voiceGender = '';
+    }
+
     async setupAudioSnooping(callState) {
         const { mainChannel, config: callConfig } = callState;
 
+        // Resolve the codec first so an unsupported format fails before any resource is created.
+        callState.codec = getCodec(callConfig.rtpServer.audioFormat);
+        callState.logger.info(`External media audio format: ${callState.codec.name} (${callState.codec.sampleRate} Hz).`);
+
         // Create user bridge and add channel
-        callState.userBridge = this.ariClient.Bridge();
+        callState.userBridge = this.ariClient.Bridge(this.createInternalId(callState, 'bridge'));
         await callState.userBridge.create({ type: 'mixing' });
         await callState.userBridge.addChannel({ channel: mainChannel.id });
         callState.logger.info(`User bridge ${callState.userBridge.id} created.`);
 
         // Start RTP server, passing the pre-buffer size from config
-        callState.rtpServer = new RtpServer(callState.logger, callConfig.rtpServer.preBufferSize);
+        callState.rtpServer = new RtpServer(callState.logger, callConfig.rtpServer.preBufferSize, callState.codec.sampleRate);
         const rtpServerAddress = await callState.rtpServer.listen(callConfig.rtpServer.ip, callConfig.rtpServer.port);
 
+        if (callConfig.app.vad.engine === 'energy') {
+            callState.vad = new EnergyVad(callConfig.app.vad.energy, callState.codec.sampleRate);
+            callState.rtpServer.on('audioFrame', (audio) => {
+                if (callState.talkListeners) {
+                    callState.vad.process(callState.codec.decode(audio));
+                }
+            });
+        }
+
         callState.rtpServer.on('audioPacket', (audio) => {
             if (callState.isRecognizing && callState.sttPushStream) {
-                // Keep the raw u-law audio for saving later
+                // Keep the raw encoded audio for saving later
                 callState.sttAudioChunks.push(audio);
-                const pcmAudio = ulawToPcm(audio);
+                const pcmAudio = callState.codec.decode(audio);
                 callState.sttPushStream.write(pcmAudio);
             }
         });
 
         // Create snoop channel
-        const snoopId = uuidv4();
+        const snoopId = this.createInternalId(callState, 'snoop');
         callState.snoopChannel = await this.ariClient.channels.snoopChannelWithId({
             channelId: mainChannel.id,
             snoopId: snoopId,
@@ -336,41 +1033,135 @@ class App {
 
         // Create external media channel
         callState.externalMediaChannel = await this.ariClient.channels.externalMedia({
+            channelId: this.createInternalId(callState, 'media'),
             app: callConfig.ari.appName,
             external_host: `${rtpServerAddress.address}:${rtpServerAddress.port}`,
-            format: callConfig.rtpServer.audioFormat,
+            format: callState.codec.name,
             appArgs: 'internal' // Mark this channel as internal
         });
         callState.logger.info(`External media channel ${callState.externalMediaChannel.id} created.`);
 
         // Create snoop bridge and bridge channels
-        callState.snoopBridge = this.ariClient.Bridge();
+        callState.snoopBridge = this.ariClient.Bridge(this.createInternalId(callState, 'bridge'));
         await callState.snoopBridge.create({ type: 'mixing' });
         await callState.snoopBridge.addChannel({ channel: [callState.snoopChannel.id, callState.externalMediaChannel.id] });
         callState.logger.info(`Snoop bridge ${callState.snoopBridge.id} created.`);
     }
 
-    async handlePrompt(callState, textToSpeak) {
-        const { logger, config: callConfig } = callState;
-        logger.debug(`Handling prompt with mode: ${callConfig.app.prompt.mode}`);
-
-        if (callConfig.app.prompt.mode === 'playback') {
-            await this.playFileAudio(callState);
+    /**
+     * Plays a prompt.
+     * @param {object} callState
+     * @param {object} prompt
+     * @param {string} prompt.mode - 'tts', 'playback' or 'playlist'.
+     * @param {string} [prompt.text] - The text to synthesize in 'tts' mode.
+     * @param {boolean} [prompt.ssml=false] - Whether `text` is SSML.
+     * @param {string} [prompt.filePath] - The sound file to play in 'playback' mode.
+     * @param {object[]} [prompt.segments] - The segments of a 'playlist', see playlist.js.
+     * @param {boolean} [prompt.listen=true] - Arm talk detection during or after the prompt.
+     */
+    async handlePrompt(callState, prompt) {
+        const { logger } = callState;
+        logger.debug(`Handling prompt with mode: ${prompt.mode}`);
+        callState.listenAfterPrompt = prompt.listen !== false;
+        callState.isPromptInterrupted = false;
+        const startTime = Date.now();
+        metrics.promptsTotal.inc({ mode: prompt.mode });
+
+        if (prompt.mode === 'playlist') {
+            await this.playPlaylist(callState, prompt.segments);
         } else {
-            await this.streamTtsAudio(callState, textToSpeak);
+            callState.isVadAnchorSegment = true;
+            if (prompt.mode === 'playback') {
+                await this.playFileAudio(callState, prompt.filePath);
+            } else {
+                await this.streamTtsAudio(callState, prompt.text, { ssml: Boolean(prompt.ssml) });
+            }
+        }
+        metrics.promptDurationSeconds.observe({ mode: prompt.mode }, (Date.now() - startTime) / 1000);
+    }
+
+    /**
+     * Plays the segments of a playlist back to back. A barge-in stops the
+     * whole list, and VAD_ACTIVATION_MODE applies to the segment chosen by
+     * VAD_PLAYLIST_SEGMENT.
+     * @param {object} callState
+     * @param {object[]} segments - See playlist.js.
+     */
+    async playPlaylist(callState, segments) {
+        const { mainChannel, logger, config: callConfig } = callState;
+        const { activationMode, playlistSegment } = callConfig.app.vad;
+        const useFirst = playlistSegment === 'first' || (playlistSegment === 'auto' && activationMode === 'after_prompt_start');
+        const anchorIndex = useFirst ? 0 : segments.length - 1;
+        logger.info(`Playing a playlist of ${segments.length} segments.`);
+
+        for (let i = 0; i < segments.length; i++) {
+            if (callState.isPromptInterrupted || callState.isFinished || !this.activeCalls.has(mainChannel.id)) {
+                logger.info(`Playlist stopped before segment ${i + 1} of ${segments.length}.`);
+                return;
+            }
+            const segment = segments[i];
+            callState.isVadAnchorSegment = i === anchorIndex;
+            logger.debug(`Playing playlist segment ${i + 1} of ${segments.length}: ${segment.type}`);
+
+            switch (segment.type) {
+                case 'file':
+                    await this.playFileAudio(callState, segment.file);
+                    break;
+                case 'tts':
+                    await this.streamTtsAudio(callState, segment.text, { ssml: false });
+                    break;
+                case 'ssml':
+                    await this.streamTtsAudio(callState, segment.ssml, { ssml: true });
+                    break;
+                case 'silence':
+                    await this.playSilence(callState, segment.duration);
+                    break;
+                case 'digits':
+                    await this.playMedia(callState, `digits:${segment.digits}`);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Arms talk detection when a prompt starts playing, if VAD_ACTIVATION_MODE
+     * is 'after_prompt_start' and the segment is the one VAD is relative to.
+     */
+    onPromptStarted(callState) {
+        const { activationMode, activationDelay } = callState.config.app.vad;
+        if (activationMode === 'after_prompt_start' && callState.isVadAnchorSegment) {
+            setTimeout(() => this.enableTalkDetection(callState), activationDelay);
         }
     }
 
-    async playFileAudio(callState) {
-        const { mainChannel, userBridge, logger, config: callConfig } = callState;
-        const filePath = callConfig.app.prompt.playbackPath;
+    /**
+     * Arms talk detection when a prompt has finished, if VAD_ACTIVATION_MODE
+     * is 'after_prompt_end' and the segment is the one VAD is relative to.
+     */
+    onPromptFinished(callState) {
+        if (callState.config.app.vad.activationMode === 'after_prompt_end' && callState.isVadAnchorSegment) {
+            this.enableTalkDetection(callState);
+        }
+    }
+
+    async playFileAudio(callState, filePath) {
+        const { logger } = callState;
         if (!filePath) {
-            logger.error('Prompt mode is "playback" but PLAYBACK_FILE_PATH is not set.');
+            logger.error('Prompt mode is "playback" but no playback file is set.');
             return;
         }
-
-        logger.info(`Playing audio file: ${filePath}`);
         callState.synthesizedAudioPath = filePath; // Save the path for DB logging
+        await this.playMedia(callState, `sound:${filePath}`);
+    }
+
+    /**
+     * Plays an Asterisk media URI (e.g. `sound:` or `digits:`) on the user bridge.
+     * @param {object} callState
+     * @param {string} media
+     */
+    async playMedia(callState, media) {
+        const { userBridge, logger } = callState;
+        logger.info(`Playing media: ${media}`);
         callState.isPlayingPrompt = true;
 
         try {
@@ -379,42 +1170,86 @@ class App {
             const playbackFinished = new Promise(resolve => playback.once('PlaybackFinished', resolve));
 
             // Activate VAD based on config
-            if (callConfig.app.vad.activationMode === 'after_prompt_start') {
-                setTimeout(() => this.enableTalkDetection(callState), callConfig.app.vad.activationDelay);
-            }
+            this.onPromptStarted(callState);
 
-            await userBridge.play({ media: `sound:${filePath}`, playbackId: callState.playbackId });
+            await userBridge.play({ media, playbackId: callState.playbackId });
             await playbackFinished;
 
-            if (callConfig.app.vad.activationMode === 'after_prompt_end') {
-                this.enableTalkDetection(callState);
+            if (!callState.isPromptInterrupted) {
+                this.onPromptFinished(callState);
             }
 
         } catch(err) {
-            logger.error(`Error playing audio file ${filePath}:`, err);
+            logger.error(`Error playing media ${media}:`, err);
         } finally {
             callState.isPlayingPrompt = false;
-            logger.info('Finished playing prompt file.');
+            logger.info('Finished playing prompt media.');
         }
     }
 
-    async streamTtsAudio(callState, text) {
-        const { mainChannel, userBridge, logger, azureService, config: callConfig } = callState;
+    /**
+     * Waits in silence, as a playlist segment. A barge-in ends the wait.
+     * @param {object} callState
+     * @param {number} durationMs
+     */
+    async playSilence(callState, durationMs) {
+        callState.isPlayingPrompt = true;
+        this.onPromptStarted(callState);
+        await new Promise(resolve => {
+            callState.silence = { resolve, timer: setTimeout(resolve, durationMs) };
+        });
+        callState.silence = null;
+        callState.isPlayingPrompt = false;
+        if (!callState.isPromptInterrupted) {
+            this.onPromptFinished(callState);
+        }
+    }
+
+    async streamTtsAudio(callState, text, options = {}) {
+        const { mainChannel, userBridge, logger, speechProvider, config: callConfig } = callState;
         logger.info(`Synthesizing prompt with mode '${callConfig.app.tts.playbackMode}': "${text}"`);
         callState.isPlayingPrompt = true;
+        const allChunks = [];
+        let hasFailed = false;
 
         try {
-            const ttsAudioStream = await azureService.synthesizeText(text);
-            const allChunks = [];
+            if (callConfig.app.tts.playbackMode === 'stream') {
+                // The RTP path must exist before synthesis starts so no audio is missed.
+                await this.setupTtsPlayback(callState);
+            }
+
+            // Cached prompts are replayed from disk instead of being synthesized again.
+            const synthesisStart = Date.now();
+            const cacheKey = callConfig.app.tts.cache.enabled ? this.getTtsCacheKey(callConfig, text, options) : null;
+            const cached = cacheKey ? await ttsCache.lookup(cacheKey, logger) : null;
+
+            let ttsAudioStream;
+            if (cached) {
+                logger.info(`TTS cache hit: ${cached.filePath}`);
+                ttsAudioStream = new PassThrough();
+                ttsAudioStream.end(cached.audio);
+            } else {
+                ttsAudioStream = await speechProvider.synthesizeText(text, options);
+            }
 
             const streamEndPromise = new Promise((resolve, reject) => {
                 ttsAudioStream.on('data', (chunk) => {
                     if (chunk.length > 0) {
+                        if (allChunks.length === 0) {
+                            metrics.ttsFirstByteSeconds.observe(
+                                { provider: callConfig.speech.provider, cache: cached ? 'hit' : 'miss' },
+                                (Date.now() - synthesisStart) / 1000
+                            );
+                        }
                         allChunks.push(chunk);
                     }
                 });
                 ttsAudioStream.on('end', resolve);
-                ttsAudioStream.on('error', reject);
+                ttsAudioStream.on('error', (err) => {
+                    logger.error(`TTS audio stream failed:`, err);
+                    hasFailed = true;
+                    reject(err);
+                });
             });
 
             if (callConfig.app.tts.playbackMode === 'stream') {
@@ -423,102 +1258,129 @@ class App {
                 await this.playTtsFull(callState, allChunks, streamEndPromise);
             }
 
-            // Save the final, full audio asynchronously after it has been collected
+            // Save the final, full audio asynchronously after it has been collected.
+            // The call keeps its own recording, since cache files may be evicted.
             streamEndPromise.then(async () => {
                 const fullAudioBuffer = Buffer.concat(allChunks);
+                const sampleRate = getTtsSampleRate(callConfig.azure.tts.outputFormat);
+                if (cacheKey && !cached) {
+                    await ttsCache.store(cacheKey, fullAudioBuffer, sampleRate, logger);
+                }
                 const finalAudioPath = await soundManager.saveFinalAudio(
                     fullAudioBuffer,
                     'tts',
                     { uniqueId: mainChannel.id, callerId: mainChannel.caller.number },
-                    logger
+                    logger,
+                    sampleRate
                 );
                 callState.synthesizedAudioPath = finalAudioPath;
                 logger.info('Full TTS audio has been saved.');
-            });
+            }, () => {
+                // A failed synthesis has already been logged; there is nothing to save.
+            }).catch(err => logger.error(`Error saving the TTS audio:`, err));
 
 
         } catch (err) {
             logger.error(`Error during TTS playback:`, err);
+            hasFailed = true;
         } finally {
             callState.isPlayingPrompt = false;
             logger.info('Finished handling TTS prompt.');
         }
+
+        // Nothing was heard, so the caller gets the fallback prompt instead of silence.
+        if (hasFailed && allChunks.length === 0 && !callState.isPromptInterrupted && !callState.isFinished) {
+            await this.playTtsFallback(callState);
+        }
     }
 
-    async playTtsStream(callState, ttsAudioStream, allChunks, streamEndPromise) {
+    /**
+     * Plays TTS_FALLBACK_PROMPT_FILE in place of a prompt that could not be
+     * synthesized. Without one, the prompt is skipped and listening starts as
+     * if it had been played.
+     */
+    async playTtsFallback(callState) {
+        const { logger, config: callConfig } = callState;
+        const { fallbackPromptFile } = callConfig.app.tts;
+        if (!fallbackPromptFile) {
+            logger.warn('TTS failed and no fallback prompt is set. The prompt is skipped.');
+            this.onPromptFinished(callState);
+            return;
+        }
+        logger.warn(`TTS failed. Playing the fallback prompt ${fallbackPromptFile}.`);
+        await this.playFileAudio(callState, fallbackPromptFile);
+    }
+
+    async setupTtsPlayback(callState) {
+        if (callState.ttsRtpServer) {
+            return callState.ttsRtpServer;
+        }
         const { userBridge, logger, config: callConfig } = callState;
-        logger.info('Playing TTS in streaming mode.');
 
-        let resolveQueueEmpty;
-        const queueEmptyPromise = new Promise(resolve => {
-            resolveQueueEmpty = resolve;
+        // TTS is sent as signed linear audio at the synthesis rate, so no lossy re-encoding is needed.
+        const ttsSampleRate = getTtsSampleRate(callConfig.azure.tts.outputFormat);
+        callState.ttsCodec = getCodec(ttsSampleRate === 16000 ? 'slin16' : 'slin');
+        if (callState.ttsCodec.sampleRate !== ttsSampleRate) {
+            throw new Error(`TTS output format '${callConfig.azure.tts.outputFormat}' cannot be streamed over RTP. Use an 8 kHz or 16 kHz format.`);
+        }
+
+        // The pre-buffer is disabled because the audio received on this server is not used.
+        callState.ttsRtpServer = new RtpServer(logger, 0);
+        const rtpServerAddress = await callState.ttsRtpServer.listen(callConfig.rtpServer.ip, callConfig.rtpServer.port);
+
+        callState.ttsChannel = await this.ariClient.channels.externalMedia({
+            channelId: this.createInternalId(callState, 'tts'),
+            app: callConfig.ari.appName,
+            external_host: `${rtpServerAddress.address}:${rtpServerAddress.port}`,
+            format: callState.ttsCodec.name,
+            appArgs: 'internal' // Mark this channel as internal
         });
+        await userBridge.addChannel({ channel: callState.ttsChannel.id });
+        logger.info(`TTS external media channel ${callState.ttsChannel.id} added to user bridge.`);
 
-        const chunkQueue = [];
-        let streamFinished = false;
-        let processing = false;
-        let vadEnabled = false;
+        // Send to the RTP address Asterisk allocated for the channel. If it is not
+        // available, the RTP server learns it from the first packet Asterisk sends.
+        try {
+            const address = await callState.ttsChannel.getChannelVar({ variable: 'UNICASTRTP_LOCAL_ADDRESS' });
+            const port = await callState.ttsChannel.getChannelVar({ variable: 'UNICASTRTP_LOCAL_PORT' });
+            callState.ttsRtpServer.setRemote(address.value, parseInt(port.value, 10));
+        } catch (err) {
+            logger.warn('Could not read the Asterisk RTP address of the TTS channel. It will be learned from incoming RTP.');
+        }
 
-        const processQueue = async () => {
-            if (processing || chunkQueue.length === 0 || !callState.isPlayingPrompt) {
-                if (streamFinished && chunkQueue.length === 0) {
-                    resolveQueueEmpty();
-                }
-                return;
-            }
-            processing = true;
+        return callState.ttsRtpServer;
+    }
 
-            if (!vadEnabled && callConfig.app.vad.activationMode === 'after_prompt_start') {
-                vadEnabled = true;
-                setTimeout(() => this.enableTalkDetection(callState), callConfig.app.vad.activationDelay);
-            }
+    async playTtsStream(callState, ttsAudioStream, allChunks, streamEndPromise) {
+        const { ttsRtpServer, logger } = callState;
+        logger.info('Playing TTS in streaming mode over RTP.');
 
-            const chunk = chunkQueue.shift();
-            try {
-                const tempAudioFile = await soundManager.saveTempAudio(chunk, logger);
-                logger.info(`Playing chunk ${tempAudioFile.filePath}.`);
-
-                const playback = this.ariClient.Playback();
-                callState.playbackId = playback.id;
-                playback.once('PlaybackFinished', () => {
-                    callState.playbackId = null;
-                    soundManager.cleanupTempAudio(tempAudioFile.filePath, logger);
-                    processing = false;
-                    processQueue();
-                });
-                await userBridge.play({ media: tempAudioFile.soundUri, playbackId: playback.id });
-            } catch (err) {
-                logger.error('Error processing TTS audio chunk:', err);
-                processing = false;
-            }
-        };
+        const sendFinished = new Promise(resolve => ttsRtpServer.once('sendFinished', resolve));
+        ttsRtpServer.startSending(callState.ttsCodec);
+
+        this.onPromptStarted(callState);
 
         ttsAudioStream.on('data', (chunk) => {
             if (chunk.length > 0) {
-                chunkQueue.push(chunk);
-                if (!processing) {
-                    processQueue();
-                }
+                ttsRtpServer.sendAudio(chunk);
             }
         });
 
-        streamEndPromise.then(() => {
-            streamFinished = true;
-            if (!processing) {
-                processQueue();
-            }
-        });
+        streamEndPromise.then(
+            () => ttsRtpServer.finishSending(),
+            () => ttsRtpServer.stopSending()
+        );
 
-        await queueEmptyPromise;
-        logger.info('All TTS chunks have been played.');
+        const { interrupted } = await sendFinished;
+        logger.info(interrupted ? 'TTS stream was interrupted.' : 'All TTS audio has been streamed.');
 
-        if (callConfig.app.vad.activationMode === 'after_prompt_end') {
-            this.enableTalkDetection(callState);
+        if (!interrupted) {
+            this.onPromptFinished(callState);
         }
     }
 
     async playTtsFull(callState, allChunks, streamEndPromise) {
-        const { userBridge, logger, config: callConfig } = callState;
+        const { userBridge, logger } = callState;
         logger.info('Playing TTS in full mode.');
 
         await streamEndPromise; // Wait for all chunks to arrive
@@ -536,9 +1398,7 @@ class App {
         callState.playbackId = playback.id;
         const playbackFinished = new Promise(resolve => playback.once('PlaybackFinished', resolve));
 
-        if (callConfig.app.vad.activationMode === 'after_prompt_start') {
-            setTimeout(() => this.enableTalkDetection(callState), callConfig.app.vad.activationDelay);
-        }
+        this.onPromptStarted(callState);
 
         await userBridge.play({ media: tempAudioFile.soundUri, playbackId: playback.id });
         await playbackFinished;
@@ -546,46 +1406,98 @@ class App {
         soundManager.cleanupTempAudio(tempAudioFile.filePath, logger);
         logger.info('Finished playing full audio file.');
 
-        if (callConfig.app.vad.activationMode === 'after_prompt_end') {
-            this.enableTalkDetection(callState);
+        if (!callState.isPromptInterrupted) {
+            this.onPromptFinished(callState);
+        }
+    }
+
+    async stopPrompt(callState, reason) {
+        const { logger } = callState;
+        callState.isPlayingPrompt = false; // Stop the prompt loop
+        callState.isPromptInterrupted = true; // Skip the rest of a playlist
+
+        if (callState.silence) {
+            clearTimeout(callState.silence.timer);
+            callState.silence.resolve();
+        }
+
+        if (callState.ttsRtpServer && callState.ttsRtpServer.isSending) {
+            logger.info(`${reason} detected. Stopping TTS RTP stream.`);
+            callState.ttsRtpServer.stopSending();
+        }
+
+        if (callState.playbackId) {
+            logger.info(`${reason} detected. Stopping prompt playback ID ${callState.playbackId}.`);
+            try {
+                await this.ariClient.playbacks.stop({ playbackId: callState.playbackId });
+            } catch (e) {
+                // This can fail if the playback already finished, which is fine.
+                logger.warn(`Could not stop playback ${callState.playbackId}, it may have already finished.`);
+            }
         }
     }
 
     enableTalkDetection(callState) {
         const { mainChannel, userBridge, rtpServer, logger, config: callConfig } = callState;
-        logger.info(`Enabling talk detection.`);
+        if (callState.talkListeners || callState.isFinished || !callState.listenAfterPrompt) {
+            return; // Already armed for this attempt, the call is over or the prompt does not expect an answer.
+        }
+        const dtmfOnly = callConfig.app.dtmf.only;
+        const useLocalVad = Boolean(callState.vad);
+        // Speech events come from the local VAD or from Asterisk's TALK_DETECT on the main channel.
+        const talkSource = useLocalVad ? callState.vad : mainChannel;
+        const talkEvents = TALK_EVENTS[useLocalVad ? 'energy' : 'talk_detect'];
+        logger.info(dtmfOnly ? `Enabling DTMF detection (DTMF-only mode).` : `Enabling talk detection (${useLocalVad ? 'local VAD' : 'TALK_DETECT'}).`);
+        const attempt = callState.attempt;
+        // In dictation mode the recognition is not stopped when the caller stops talking, see finishDictation().
+        const dictationConfig = callConfig.app.dictation;
+        let isDictating = false;
 
         // The RTP server is already pre-buffering continuously.
         // We just need to set the no-input timer here.
 
-        // Start no-input timer
-        if (callConfig.app.timeouts.noInput > 0) {
+        // Start no-input timer. In DTMF-only mode it waits for the first digit.
+        const noInputTimeout = dtmfOnly && callConfig.app.dtmf.firstDigitTimeout > 0
+            ? callConfig.app.dtmf.firstDigitTimeout
+            : callConfig.app.timeouts.noInput;
+        if (noInputTimeout > 0) {
             callState.timers.noInput = setTimeout(() => {
-                logger.warn(`No-input timeout reached. Hanging up.`);
-                mainChannel.hangup().catch(e => logger.error(`Error hanging up channel on no-input timeout:`, e));
-            }, callConfig.app.timeouts.noInput);
+                logger.warn(dtmfOnly ? `First-digit timeout reached.` : `No-input timeout reached.`);
+                this.handleTimeout(callState, 'no_input');
+            }, noInputTimeout);
+        }
+        // When voice is also expected the first digit has its own timer, cancelled once the caller talks or presses a key.
+        const { firstDigitTimeout } = callConfig.app.dtmf;
+        if (!dtmfOnly && callConfig.app.dtmf.enabled && firstDigitTimeout > 0) {
+            callState.timers.firstDigit = setTimeout(() => {
+                logger.warn(`First-digit timeout reached.`);
+                this.handleTimeout(callState, 'no_input');
+            }, firstDigitTimeout);
         }
 
         const onTalkingStarted = async () => {
-            // Once user speaks, clear the no-input timer
+            // Once user speaks, clear the no-input timers
             clearTimeout(callState.timers.noInput);
+            clearTimeout(callState.timers.firstDigit);
+
+            if (dictationConfig.enabled) {
+                // The listener is kept during a dictation to see the caller talk again after a pause.
+                clearTimeout(callState.timers.dictationSilence);
+                if (isDictating) return;
+                isDictating = true;
+                callState.timers.dictation = setTimeout(() => this.finishDictation(callState, 'max_duration'), dictationConfig.maxDuration);
+            } else {
+                // This event can fire multiple times, but we only want to start the STT session once.
+                // We remove the listener immediately to prevent re-entry.
+                talkSource.removeListener(talkEvents.started, onTalkingStarted);
+            }
 
-            // This event can fire multiple times, but we only want to start the STT session once.
-            // We remove the listener immediately to prevent re-entry.
-            mainChannel.removeListener('ChannelTalkingStarted', onTalkingStarted);
-
-            if (callState.isPlayingPrompt && callState.playbackId) {
-                logger.info(`Barge-in detected. Stopping prompt playback ID ${callState.playbackId}.`);
-                callState.isPlayingPrompt = false; // Stop the prompt loop
-                try {
-                    await this.ariClient.playbacks.stop({ playbackId: callState.playbackId });
-                } catch (e) {
-                    // This can fail if the playback already finished, which is fine.
-                    logger.warn(`Could not stop playback ${callState.playbackId}, it may have already finished.`);
-                }
+            if (callState.isPlayingPrompt) {
+                metrics.bargeInsTotal.inc({ type: 'voice' });
+                await this.stopPrompt(callState, 'Barge-in');
             }
 
-            logger.info(`Talking started. Starting recognition session with Azure.`);
+            logger.info(`Talking started. Starting recognition session with the speech provider.`);
 
             // Flush the pre-buffered audio
             const preBufferedAudio = rtpServer.flushPreBuffer();
@@ -596,33 +1508,56 @@ class App {
             // Start the STT service and wait for the push stream to be ready
             const pushStream = await this.setupStt(callState);
 
-            // Push the pre-buffered audio first
-            if (preBufferedAudio.length > 0) {
-                const pcmPreBufferedAudio = ulawToPcm(preBufferedAudio);
-                pushStream.write(pcmPreBufferedAudio);
-                logger.info(`Pushed ${preBufferedAudio.length} bytes of pre-buffered audio to Azure.`);
-            }
+            if (pushStream) {
+                // Push the pre-buffered audio first
+                if (preBufferedAudio.length > 0) {
+                    const pcmPreBufferedAudio = callState.codec.decode(preBufferedAudio);
+                    pushStream.write(pcmPreBufferedAudio);
+                    logger.info(`Pushed ${preBufferedAudio.length} bytes of pre-buffered audio to the speech provider.`);
+                }
 
-            // Now, start sending real-time audio
-            callState.isRecognizing = true;
+                // Now, start sending real-time audio
+                callState.isRecognizing = true;
+            }
 
             await callState.recognitionPromise;
+
+            if (callState.attempt === attempt && callState.recognitionMode === 'error') {
+                await this.finishWithError(callState);
+                return;
+            }
+            // DTMF, a timeout or a new attempt may have taken over while recognizing.
+            if (callState.attempt !== attempt || callState.recognitionMode !== 'voice') {
+                return;
+            }
             logger.info(`Final transcript to be saved: ${callState.finalTranscript}`);
 
-            await this.continueInDialplan(callState);
+            await this.finishAttempt(callState);
         };
 
         const onTalkingFinished = (event) => {
-             if (callState.isRecognizing) { // Only act if we were actively recognizing
-                logger.info(`Talking finished. Duration: ${event.duration} ms. Stopping recognition stream.`);
-                callState.isRecognizing = false;
-                if (callState.azureService) {
-                    callState.azureService.stopContinuousRecognition();
-                }
+            if (dictationConfig.enabled) {
+                // A pause: the dictation goes on unless the caller stays silent.
+                if (!isDictating) return;
+                clearTimeout(callState.timers.dictationSilence);
+                callState.timers.dictationSilence = setTimeout(() => this.finishDictation(callState, 'silence'), dictationConfig.silenceTimeout);
+                return;
             }
+            // Only act if we were actively recognizing
+            this.endRecognition(callState, `Talking finished. Duration: ${event.duration} ms`);
         };
 
         const onDtmfReceived = async (event) => {
+            // During a dictation the keys only end it.
+            if (isDictating) {
+                if (dictationConfig.terminatorKeys.includes(event.digit)) {
+                    this.finishDictation(callState, 'terminator');
+                } else {
+                    logger.info(`DTMF digit '${event.digit}' ignored during the dictation.`);
+                }
+                return;
+            }
+
             // This logic runs for the FIRST digit received.
             if (callState.recognitionMode === 'voice') {
                 logger.info(`DTMF digit '${event.digit}' received. Switching to DTMF mode.`);
@@ -630,41 +1565,39 @@ class App {
 
                 // Cancel voice-related timers and listeners
                 clearTimeout(callState.timers.noInput);
-                mainChannel.removeListener('ChannelTalkingStarted', onTalkingStarted);
+                clearTimeout(callState.timers.firstDigit);
+                talkSource.removeListener(talkEvents.started, onTalkingStarted);
                 if (callState.isRecognizing) {
-                    callState.azureService.stopContinuousRecognition();
+                    callState.speechProvider.stopContinuousRecognition();
                     callState.isRecognizing = false;
                 }
 
                 // Barge-in for DTMF
-                if (callState.isPlayingPrompt && callState.playbackId) {
-                    logger.info(`DTMF Barge-in detected. Stopping prompt playback ID ${callState.playbackId}.`);
-                    callState.isPlayingPrompt = false;
-                    try {
-                        await this.ariClient.playbacks.stop({ playbackId: callState.playbackId });
-                    } catch (e) {
-                        logger.warn(`Could not stop playback ${callState.playbackId} for DTMF, it may have already finished.`);
-                    }
+                if (callState.isPlayingPrompt) {
+                    metrics.bargeInsTotal.inc({ type: 'dtmf' });
+                    await this.stopPrompt(callState, 'DTMF barge-in');
                 }
             }
 
             // This logic runs for EVERY digit received.
-            callState.dtmfDigits += event.digit;
-            logger.info(`Current DTMF digits: ${callState.dtmfDigits}`);
-
-            // Reset the completion timer
-            clearTimeout(callState.timers.dtmf);
-            callState.timers.dtmf = setTimeout(async () => {
-                logger.info(`DTMF completion timeout reached. Final digits: ${callState.dtmfDigits}`);
-                await this.continueInDialplan(callState);
-            }, callConfig.app.dtmf.completionTimeout);
+            await this.collectDtmfDigit(callState, event.digit);
         };
 
         // Assign listeners
-        mainChannel.on('ChannelTalkingStarted', onTalkingStarted);
-        mainChannel.on('ChannelTalkingFinished', onTalkingFinished);
+        callState.talkListeners = { talkSource, talkEvents, onTalkingStarted, onTalkingFinished, onDtmfReceived };
         if (callConfig.app.dtmf.enabled) {
             mainChannel.on('ChannelDtmfReceived', onDtmfReceived);
+        } else if (dtmfOnly) {
+            logger.warn(`DTMF-only mode is set but DTMF is disabled. Only the timeouts can end this attempt.`);
+        }
+        if (dtmfOnly) {
+            return; // Voice detection is not armed at all.
+        }
+        talkSource.on(talkEvents.started, onTalkingStarted);
+        talkSource.on(talkEvents.finished, onTalkingFinished);
+        if (useLocalVad) {
+            callState.vad.reset();
+            return; // TALK_DETECT is not needed.
         }
 
         // Setting TALK_DETECT values. Some Asterisk versions expect a positional format.
@@ -679,50 +1612,713 @@ class App {
         });
     }
 
-    async saveInteraction(callState) {
-        const { logger, mainChannel, textToSynthesize, synthesizedAudioPath, sttAudioPath, recognitionMode, finalTranscript, dtmfDigits } = callState;
+    /**
+     * Adds a DTMF key to the collected input, applying the clear key, the
+     * terminator keys and the maximum number of digits. Otherwise (re)starts
+     * the inter-digit timer.
+     */
+    async collectDtmfDigit(callState, digit) {
+        const { logger, config: callConfig } = callState;
+        const dtmfConfig = callConfig.app.dtmf;
+        if (callState.isFinished || callState.dtmfTerminationReason) return;
+        clearTimeout(callState.timers.dtmf);
+
+        if (dtmfConfig.clearKey && digit === dtmfConfig.clearKey) {
+            logger.info(`DTMF clear key '${digit}' pressed. Discarding digits '${callState.dtmfDigits}'.`);
+            callState.dtmfDigits = '';
+        } else if (dtmfConfig.terminatorKeys.includes(digit)) {
+            callState.dtmfTerminator = digit;
+            await this.finishDtmfCollection(callState, 'terminator');
+            return;
+        } else {
+            callState.dtmfDigits += digit;
+            logger.info(`Current DTMF digits: ${callState.dtmfDigits}`);
+            if (dtmfConfig.maxDigits > 0 && callState.dtmfDigits.length >= dtmfConfig.maxDigits) {
+                await this.finishDtmfCollection(callState, 'max_digits');
+                return;
+            }
+        }
+
+        // Reset the inter-digit timer
+        callState.timers.dtmf = setTimeout(() => {
+            this.finishDtmfCollection(callState, 'timeout');
+        }, dtmfConfig.completionTimeout);
+    }
+
+    async finishDtmfCollection(callState, reason) {
+        const { logger } = callState;
+        clearTimeout(callState.timers.dtmf);
+        callState.dtmfTerminationReason = reason;
+        logger.info(`DTMF collection ended (${reason}). Final digits: ${callState.dtmfDigits}`);
+        await this.finishAttempt(callState);
+    }
+
+    disableTalkDetection(callState) {
+        const { mainChannel } = callState;
+        clearTimeout(callState.timers.noInput);
+        clearTimeout(callState.timers.firstDigit);
+        clearTimeout(callState.timers.dtmf);
+        clearTimeout(callState.timers.dictation);
+        clearTimeout(callState.timers.dictationSilence);
+        if (!callState.talkListeners) return;
+
+        const { talkSource, talkEvents, onTalkingStarted, onTalkingFinished, onDtmfReceived } = callState.talkListeners;
+        talkSource.removeListener(talkEvents.started, onTalkingStarted);
+        talkSource.removeListener(talkEvents.finished, onTalkingFinished);
+        mainChannel.removeListener('ChannelDtmfReceived', onDtmfReceived);
+        callState.talkListeners = null;
+    }
+
+    canRetry(callState) {
+        return !callState.isFinished && !callState.hungUp && !this.isShuttingDown && callState.attempt < callState.config.app.retry.maxAttempts;
+    }
+
+    /**
+     * Validates the input of the attempt against the configured grammar.
+     * Sets `callState.validation`, or leaves it null when no validation applies.
+     */
+    validateAttempt(callState) {
+        const { logger, config: callConfig } = callState;
+        const validationConfig = callConfig.app.validation;
+        const input = callState.recognitionMode === 'dtmf' ? callState.dtmfDigits : callState.finalTranscript;
+        callState.validation = null;
+        if (!validationConfig.type || !input) return;
+
+        try {
+            callState.validation = validateInput(input, {
+                ...validationConfig,
+                inputMode: callState.recognitionMode,
+                language: callState.detectedLanguage || callConfig.azure.stt.language,
+            });
+            logger.info(`Validation (${validationConfig.type}) of "${input}": ${callState.validation.status}, normalized "${callState.validation.normalized}"`);
+        } catch (err) {
+            logger.error(`Error validating input with type '${validationConfig.type}':`, err);
+            callState.validation = { status: 'ERROR', normalized: '' };
+        }
+    }
+
+    /**
+     * Tells whether a voice result is below STT_MIN_CONFIDENCE. Results
+     * without a confidence (e.g. with AZURE_STT_OUTPUT_FORMAT=simple) are not.
+     */
+    isLowConfidence(callState) {
+        const { minimum } = callState.config.app.confidence;
+        return callState.recognitionMode === 'voice' && minimum > 0 && callState.confidence !== null && callState.confidence < minimum;
+    }
+
+    /**
+     * Decides what to do once an attempt has produced a voice or DTMF result:
+     * reprompt on an empty or invalid input, or on a voice result below the
+     * minimum confidence (no-match), if attempts remain, or return to the
+     * dialplan. With STT_CONFIRM_PROMPT a low-confidence result is confirmed
+     * with the caller instead.
+     */
+    async finishAttempt(callState) {
+        if (callState.isFinished) return;
+        if (callState.confirmation) {
+            await this.finishConfirmation(callState);
+            return;
+        }
+        this.validateAttempt(callState);
+
+        const input = callState.recognitionMode === 'dtmf' ? callState.dtmfDigits : callState.finalTranscript;
+        const isInvalid = !input || (callState.validation !== null && callState.validation.status === 'INVALID');
+        const isLowConfidence = !isInvalid && this.isLowConfidence(callState);
+        if (isLowConfidence) {
+            callState.logger.info(`Confidence ${callState.confidence} is below the minimum of ${callState.config.app.confidence.minimum}.`);
+            if (callState.config.app.confidence.confirmPrompt) {
+                await this.startConfirmation(callState);
+                return;
+            }
+        }
+        if ((isInvalid || isLowConfidence) && this.canRetry(callState)) {
+            await this.startNextAttempt(callState, 'no_match');
+            return;
+        }
+        await this.completeTurn(callState);
+    }
+
+    /**
+     * Returns the result of the turn to the dialog webhook, or to the dialplan.
+     */
+    async completeTurn(callState) {
+        if (callState.hungUp) {
+            await this.finishHungUpCall(callState);
+            return;
+        }
+        if (callState.config.app.dialog.webhookUrl) {
+            await this.runDialogTurn(callState, 'input');
+            return;
+        }
+        await this.continueInDialplan(callState);
+    }
+
+    /**
+     * Asks the caller to confirm a low-confidence result with STT_CONFIRM_PROMPT,
+     * whose {{TRANSCRIPT}} and {{CONFIDENCE}} placeholders are filled with the
+     * result. The answer is a yes/no, by voice or DTMF (1 or 2), and is handled
+     * by finishConfirmation() within the same attempt.
+     */
+    async startConfirmation(callState) {
+        const { logger, config: callConfig } = callState;
+        if (callState.hungUp) {
+            // Nobody is left to confirm with: the result is kept as it is.
+            await this.completeTurn(callState);
+            return;
+        }
+        const confirmation = {
+            finalTranscript: callState.finalTranscript,
+            finalTranscriptDetailed: callState.finalTranscriptDetailed,
+            confidence: callState.confidence,
+            alternatives: callState.alternatives,
+            translations: callState.translations,
+            segments: callState.segments,
+            dictationEndReason: callState.dictationEndReason,
+            validation: callState.validation,
+        };
+
+        this.disableTalkDetection(callState);
+        this.resetAttemptState(callState);
+        callState.confirmation = confirmation;
+
+        const template = callConfig.app.confidence.confirmPrompt;
+        const ssml = isSsmlInput(template, callConfig.app.tts.textFormat);
+        let text;
         try {
-            await db.Interaction.create({
+            text = renderTemplate(template, {
+                TRANSCRIPT: confirmation.finalTranscript,
+                CONFIDENCE: String(confirmation.confidence),
+            }, { language: callConfig.azure.tts.language, currency: callConfig.app.templates.currency, ssml }).text;
+        } catch (err) {
+            logger.error(`Invalid STT_CONFIRM_PROMPT. The result is not confirmed:`, err);
+            await this.finishConfirmation(callState);
+            return;
+        }
+        logger.info(`Asking the caller to confirm "${confirmation.finalTranscript}".`);
+        await this.handlePrompt(callState, { mode: 'tts', text, ssml });
+    }
+
+    /**
+     * Handles the answer to the confirmation prompt. The confirmed result is
+     * restored as the result of the attempt; a 'no', or an answer that is not a
+     * yes/no, is a no-match.
+     */
+    async finishConfirmation(callState) {
+        const { logger, config: callConfig } = callState;
+        const answerMode = callState.recognitionMode;
+        const answer = answerMode === 'dtmf' ? callState.dtmfDigits : callState.finalTranscript;
+        let isConfirmed = false;
+        if (answer) {
+            const { status, normalized } = validateInput(answer, { type: 'yesno', inputMode: answerMode, language: callState.detectedLanguage || callConfig.azure.stt.language });
+            isConfirmed = status === 'VALID' && normalized === 'yes';
+        }
+
+        Object.assign(callState, callState.confirmation, {
+            recognitionMode: 'voice',
+            dtmfDigits: '',
+            dtmfTerminator: '',
+            dtmfTerminationReason: null,
+            confirmation: null,
+            confirmationStatus: isConfirmed ? 'CONFIRMED' : 'REJECTED',
+        });
+        logger.info(`Answer to the confirmation: "${answer}". The result is ${callState.confirmationStatus.toLowerCase()}.`);
+
+        if (!isConfirmed && this.canRetry(callState)) {
+            await this.startNextAttempt(callState, 'no_match');
+            return;
+        }
+        await this.completeTurn(callState);
+    }
+
+    /**
+     * Ends the call turn after a speech provider error (RECOGNITION_MODE=ERROR).
+     * It is not retried: the dialplan or the dialog webhook decides what follows.
+     */
+    async finishWithError(callState) {
+        if (callState.isFinished) return;
+        callState.logger.warn(`Recognition failed with ${callState.errorCode}.`);
+        this.disableTalkDetection(callState);
+        if (callState.config.app.dialog.webhookUrl) {
+            await this.runDialogTurn(callState, 'input');
+            return;
+        }
+        await this.continueInDialplan(callState);
+    }
+
+    /**
+     * Returns the prompt for a retry. A configured playback file takes
+     * precedence over TTS text; without either, the prompt of the turn is repeated.
+     * @param {object} callState
+     * @param {string} reason - 'no_match' or 'no_input'.
+     * @returns {object|null} A prompt descriptor for handlePrompt(), or null if the turn had no prompt.
+     */
+    getRetryPrompt(callState, reason) {
+        const { config: callConfig } = callState;
+        const retryConfig = reason === 'no_input' ? callConfig.app.retry.noInput : callConfig.app.retry.noMatch;
+
+        if (retryConfig.promptFile) {
+            return { mode: 'playback', filePath: retryConfig.promptFile };
+        }
+        if (retryConfig.promptText) {
+            return { mode: 'tts', text: retryConfig.promptText, ssml: isSsmlInput(retryConfig.promptText, callConfig.app.tts.textFormat) };
+        }
+        return callState.currentPrompt;
+    }
+
+    async startNextAttempt(callState, reason) {
+        const { logger, config: callConfig } = callState;
+
+        this.disableTalkDetection(callState);
+        callState.attempt++;
+        logger.info(`Starting attempt ${callState.attempt} of ${callConfig.app.retry.maxAttempts} after ${reason}.`);
+
+        // The STT recording keeps all attempts.
+        this.resetAttemptState(callState);
+
+        const prompt = this.getRetryPrompt(callState, reason);
+        if (prompt) {
+            await this.handlePrompt(callState, prompt);
+        } else {
+            callState.listenAfterPrompt = true;
+            this.enableTalkDetection(callState);
+        }
+    }
+
+    /**
+     * Resets the recognition state of an attempt before a new one.
+     */
+    resetAttemptState(callState) {
+        callState.recognitionMode = 'voice';
+        callState.errorCode = null;
+        callState.isRecognizing = false;
+        callState.sttPushStream = null;
+        callState.interimTranscript = '';
+        callState.finalTranscript = '';
+        callState.finalTranscriptDetailed = null;
+        callState.dtmfDigits = '';
+        callState.dtmfTerminator = '';
+        callState.dtmfTerminationReason = null;
+        callState.validation = null;
+        callState.confidence = null;
+        callState.alternatives = [];
+        callState.translations = null;
+        callState.segments = [];
+        callState.dictationEndReason = null;
+        callState.confirmation = null;
+        callState.confirmationStatus = null;
+        callState.rtpServer.resumePreBuffering();
+    }
+
+    /**
+     * Stops the prompt, the recognition and the input timers of the current
+     * attempt, whose result is superseded by a timeout or an admin request.
+     */
+    async abortAttempt(callState, reason) {
+        clearTimeout(callState.timers.noInput);
+        clearTimeout(callState.timers.firstDigit);
+        clearTimeout(callState.timers.dtmf);
+        if (callState.isPlayingPrompt) {
+            await this.stopPrompt(callState, reason);
+        }
+        if (callState.isRecognizing) {
+            callState.isRecognizing = false;
+            callState.speechProvider.stopContinuousRecognition();
+        }
+    }
+
+    /**
+     * Ends the recognition in progress as if the caller had stopped talking.
+     * The result is then handled as usual.
+     * @returns {boolean} False if there was no recognition to end.
+     */
+    endRecognition(callState, reason) {
+        if (!callState.isRecognizing) return false;
+        callState.logger.info(`${reason}. Stopping recognition stream.`);
+        callState.isRecognizing = false;
+        callState.speechEndTime = Date.now(); // For the STT latency metric
+        callState.speechProvider.stopContinuousRecognition();
+        return true;
+    }
+
+    /**
+     * Ends a dictation (DICTATION_MODE) by stopping its recognition. The
+     * result is then handled as usual.
+     * @param {object} callState
+     * @param {string} reason - 'max_duration', 'silence', 'terminator' or 'hangup'.
+     */
+    finishDictation(callState, reason) {
+        clearTimeout(callState.timers.dictation);
+        clearTimeout(callState.timers.dictationSilence);
+        if (!callState.isRecognizing) return;
+        callState.dictationEndReason = reason;
+        this.endRecognition(callState, `Dictation ended (${reason})`);
+    }
+
+    /**
+     * Returns a call to the dialplan right away with the given recognition mode,
+     * discarding whatever is still in progress.
+     * @param {object} callState
+     * @param {string} mode - 'voice', 'dtmf', 'no_input', 'timeout' or 'error' (with code ADMIN_REQUEST).
+     */
+    async forceContinue(callState, mode) {
+        if (callState.isFinished) return;
+        callState.logger.info(`Returning the call to the dialplan with mode ${mode.toUpperCase()} on request.`);
+        this.disableTalkDetection(callState);
+        await this.abortAttempt(callState, 'Forced continue');
+        callState.recognitionMode = mode;
+        if (mode === 'error' && !callState.errorCode) {
+            callState.errorCode = 'ADMIN_REQUEST';
+        }
+        await this.continueInDialplan(callState);
+    }
+
+    /**
+     * Describes what the call is doing right now.
+     * @returns {string} 'starting', 'prompting', 'listening', 'recognizing', 'dtmf', 'dialog' or 'finished'.
+     */
+    getCallPhase(callState) {
+        if (callState.isFinished) return 'finished';
+        if (callState.isAwaitingDialog) return 'dialog';
+        if (callState.recognitionMode === 'dtmf') return 'dtmf';
+        if (callState.isRecognizing || callState.isAwaitingResult) return 'recognizing';
+        if (callState.isPlayingPrompt) return 'prompting';
+        if (callState.talkListeners) return 'listening';
+        return 'starting';
+    }
+
+    async handleTimeout(callState, mode) {
+        const { mainChannel, logger, config: callConfig } = callState;
+        if (callState.isFinished) return;
+
+        // Stop whatever is still in progress; its result is superseded by the timeout.
+        await this.abortAttempt(callState, 'Timeout');
+
+        if (mode === 'no_input' && this.canRetry(callState)) {
+            await this.startNextAttempt(callState, 'no_input');
+            return;
+        }
+        callState.recognitionMode = mode;
+
+        // In dialog mode the webhook decides what follows a no-input.
+        if (mode === 'no_input' && callConfig.app.dialog.webhookUrl) {
+            await this.runDialogTurn(callState, 'input');
+            return;
+        }
+
+        if (callConfig.app.timeouts.action === 'hangup') {
+            logger.warn(`Hanging up on ${mode} timeout.`);
+            await this.hangupCall(callState);
+            return;
+        }
+
+        await this.continueInDialplan(callState);
+    }
+
+    /**
+     * Ends a call whose channel has left Stasis, e.g. a dictation ended by
+     * hanging up: the results of the turn are saved, and nothing is played
+     * or returned to the dialplan anymore.
+     */
+    async finishHungUpCall(callState) {
+        if (callState.isFinished) return;
+        callState.isFinished = true;
+        callState.logger.info(`The channel is gone. Saving the results of the turn.`);
+        metrics.callsTotal.inc({ outcome: callState.recognitionMode.toUpperCase() });
+        await this.saveTurnResults(callState);
+    }
+
+    /**
+     * Hangs up the call after saving its interaction.
+     */
+    async hangupCall(callState) {
+        const { mainChannel, logger } = callState;
+        callState.isFinished = true;
+        metrics.callsTotal.inc({ outcome: callState.recognitionMode.toUpperCase() });
+        this.saveInteraction(callState);
+        try {
+            await mainChannel.hangup();
+        } catch (err) {
+            logger.error(`Error hanging up channel:`, err);
+        }
+    }
+
+    /**
+     * Dialog mode (DIALOG_WEBHOOK_URL): sends the result of the turn to the
+     * webhook and carries out the actions it answers with, see dialog-client.js.
+     * @param {object} callState
+     * @param {string} event - 'start' when there is no initial prompt, 'input' after each turn.
+     */
+    async runDialogTurn(callState, event) {
+        const { logger, config: callConfig } = callState;
+        const dialogConfig = callConfig.app.dialog;
+        this.disableTalkDetection(callState);
+        if (callState.hungUp) {
+            await this.finishHungUpCall(callState);
+            return;
+        }
+
+        if (event === 'input') {
+            // Each turn is saved as its own interaction.
+            await this.saveTurnResults(callState);
+            if (callState.turn >= dialogConfig.maxTurns) {
+                logger.warn(`Dialog reached the maximum of ${dialogConfig.maxTurns} turns.`);
+                callState.dialogStatus = 'MAX_TURNS';
+                await this.continueInDialplan(callState);
+                return;
+            }
+        }
+
+        let actions;
+        callState.isAwaitingDialog = true;
+        try {
+            actions = await requestNextActions(dialogConfig, this.buildDialogRequest(callState, event), logger);
+        } catch (err) {
+            logger.error(`Dialog webhook failed:`, err);
+            callState.isAwaitingDialog = false;
+            callState.dialogStatus = 'ERROR';
+            await this.continueInDialplan(callState);
+            return;
+        }
+        callState.isAwaitingDialog = false;
+        logger.info(`Dialog webhook answered with actions: ${actions.map(action => action.type).join(', ')}`);
+        await this.runDialogActions(callState, actions);
+    }
+
+    /**
+     * Builds the body POSTed to the dialog webhook.
+     */
+    buildDialogRequest(callState, event) {
+        const { mainChannel } = callState;
+        return {
+            event,
+            turn: callState.turn,
+            call: {
                 uniqueId: mainChannel.id,
                 callerId: mainChannel.caller.number,
-                textToSynthesize,
-                synthesizedAudioPath,
-                sttAudioPath,
-                recognitionMode,
-                transcript: finalTranscript,
-                dtmfResult: dtmfDigits,
-            });
+                callerName: mainChannel.caller.name,
+                context: mainChannel.dialplan ? mainChannel.dialplan.context : null,
+                extension: mainChannel.dialplan ? mainChannel.dialplan.exten : null,
+            },
+            input: event === 'input' ? {
+                recognitionMode: callState.recognitionMode.toUpperCase(),
+                transcript: callState.finalTranscript,
+                confidence: callState.confidence,
+                alternatives: callState.alternatives,
+                translations: callState.translations,
+                segments: callState.segments,
+                dictationEndReason: callState.dictationEndReason ? callState.dictationEndReason.toUpperCase() : null,
+                confirmation: callState.confirmationStatus,
+                detectedLanguage: callState.detectedLanguage,
+                errorCode: callState.errorCode,
+                dtmf: callState.dtmfDigits,
+                dtmfTerminator: callState.dtmfTerminator,
+                attempts: callState.attempt,
+                validation: callState.validation,
+            } : null,
+            variables: callState.dialogVariables,
+        };
+    }
+
+    async runDialogActions(callState, actions) {
+        const { mainChannel, logger, config: callConfig } = callState;
+
+        for (let i = 0; i < actions.length; i++) {
+            // The caller may hang up, or a timeout end the call, while the actions run.
+            if (callState.isFinished || !this.activeCalls.has(mainChannel.id)) return;
+            const action = actions[i];
+
+            switch (action.type) {
+                case 'speak':
+                case 'play':
+                case 'playlist': {
+                    let prompt;
+                    if (action.type === 'play') {
+                        prompt = { mode: 'playback', filePath: action.file };
+                    } else if (action.type === 'playlist') {
+                        prompt = { mode: 'playlist', segments: action.segments };
+                    } else {
+                        prompt = { mode: 'tts', text: action.ssml || action.text, ssml: Boolean(action.ssml) };
+                    }
+                    // A prompt right before 'listen' is the prompt of the next turn, with barge-in.
+                    if (actions[i + 1] && actions[i + 1].type === 'listen') {
+                        await this.startDialogTurn(callState, prompt);
+                        return;
+                    }
+                    await this.handlePrompt(callState, { ...prompt, listen: false });
+                    break;
+                }
+                case 'listen':
+                    await this.startDialogTurn(callState, null);
+                    return;
+                case 'set':
+                    for (const [name, value] of Object.entries(action.variables)) {
+                        callState.dialogVariables[name] = value;
+                        try {
+                            await mainChannel.setChannelVar({ variable: name, value: String(value) });
+                        } catch (err) {
+                            logger.error(`Failed to set channel variable ${name}:`, err);
+                        }
+                    }
+                    break;
+                case 'transfer':
+                    callState.dialogStatus = 'TRANSFER';
+                    await this.continueInDialplan(callState, {
+                        context: action.context || (mainChannel.dialplan && mainChannel.dialplan.context),
+                        extension: action.extension,
+                        priority: action.priority || 1,
+                    });
+                    return;
+                case 'hangup':
+                    logger.info('Hanging up on dialog request.');
+                    await this.hangupCall(callState);
+                    return;
+                case 'continue':
+                    i = actions.length; // Ignore anything after it
+                    break;
+            }
+        }
+
+        callState.dialogStatus = 'COMPLETED';
+        await this.continueInDialplan(callState);
+    }
+
+    /**
+     * Starts the next dialog turn in the same session: the bridges, the snoop
+     * channel and the RTP servers of the call are reused.
+     * @param {object} callState
+     * @param {object|null} prompt - The prompt of the turn, or null to just listen.
+     */
+    async startDialogTurn(callState, prompt) {
+        const { logger } = callState;
+        // A dialog started without TEXT_TO_SPEAK has no result before its first turn.
+        if (callState.interactionSaved) {
+            callState.turn++;
+        }
+        logger.info(`Starting dialog turn ${callState.turn}.`);
+
+        this.resetAttemptState(callState);
+        callState.attempt = 1;
+        callState.sttAudioChunks = [];
+        callState.sttAudioPath = null;
+        callState.synthesizedAudioPath = null;
+        callState.interactionSaved = false;
+        callState.textToSynthesize = describePrompt(prompt);
+        callState.currentPrompt = prompt;
+
+        if (prompt) {
+            await this.handlePrompt(callState, prompt);
+        } else {
+            callState.listenAfterPrompt = true;
+            this.enableTalkDetection(callState);
+        }
+    }
+
+    /**
+     * Saves the STT recording and the interaction of the current turn, once.
+     */
+    async saveTurnResults(callState) {
+        const { mainChannel, logger, sttAudioChunks, codec } = callState;
+        if (callState.interactionSaved) return;
+
+        if (sttAudioChunks.length > 0) {
+            const fullSttAudio = Buffer.concat(sttAudioChunks);
+            const pcmSttAudio = codec.decode(fullSttAudio);
+            const sttAudioPath = await soundManager.saveFinalAudio(
+                pcmSttAudio,
+                'stt',
+                { uniqueId: mainChannel.id, callerId: mainChannel.caller.number },
+                logger,
+                codec.sampleRate
+            );
+            callState.sttAudioPath = sttAudioPath;
+        }
+
+        // Fire-and-forget; shutdown() waits for pending writes.
+        this.saveInteraction(callState);
+    }
+
+    async saveInteraction(callState) {
+        if (callState.interactionSaved) return;
+        callState.interactionSaved = true;
+        const { logger, mainChannel, textToSynthesize, synthesizedAudioPath, sttAudioPath, recognitionMode, finalTranscript, dtmfDigits, dtmfTerminationReason, attempt, validation, turn, errorCode, confidence, detectedLanguage, translations, segments, dictationEndReason } = callState;
+        const write = db.Interaction.create({
+            uniqueId: mainChannel.id,
+            callerId: mainChannel.caller.number,
+            textToSynthesize,
+            synthesizedAudioPath,
+            sttAudioPath,
+            recognitionMode: recognitionMode.toUpperCase(),
+            transcript: finalTranscript,
+            confidence,
+            detectedLanguage,
+            translations: translations ? JSON.stringify(translations) : null,
+            segments: segments.length > 0 ? JSON.stringify(segments) : null,
+            dictationEndReason: dictationEndReason ? dictationEndReason.toUpperCase() : null,
+            dtmfResult: dtmfDigits,
+            dtmfTerminationReason: dtmfTerminationReason ? dtmfTerminationReason.toUpperCase() : null,
+            attempts: attempt,
+            normalizedResult: validation ? validation.normalized : null,
+            validationStatus: validation ? validation.status : null,
+            turn,
+            errorCode,
+        });
+        // Tracked so that shutdown() can wait for writes that are still in progress.
+        this.pendingWrites.add(write);
+        try {
+            await write;
             logger.info('Interaction saved to database.');
         } catch (dbError) {
             logger.error('Failed to save interaction to database:', dbError);
+        } finally {
+            this.pendingWrites.delete(write);
         }
     }
 
-    async continueInDialplan(callState) {
-        const { mainChannel, logger, sttAudioChunks } = callState;
-        if (callState && mainChannel) {
+    /**
+     * Sets the result variables and returns the call to the dialplan.
+     * @param {object} callState
+     * @param {object} [target] - `{ context, extension, priority }` to continue elsewhere (dialog transfer).
+     */
+    async continueInDialplan(callState, target) {
+        const { mainChannel, logger } = callState;
+        // The call may be finished by recognition, DTMF or a timeout, whichever comes first.
+        if (callState.isFinished) return;
+        if (callState.hungUp) {
+            await this.finishHungUpCall(callState);
+            return;
+        }
+        callState.isFinished = true;
+        metrics.callsTotal.inc({ outcome: callState.recognitionMode.toUpperCase() });
 
-            // Save the captured STT audio
-            if (sttAudioChunks.length > 0) {
-                const fullSttAudio = Buffer.concat(sttAudioChunks);
-                const pcmSttAudio = ulawToPcm(fullSttAudio);
-                const sttAudioPath = await soundManager.saveFinalAudio(
-                    pcmSttAudio,
-                    'stt',
-                    { uniqueId: mainChannel.id, callerId: mainChannel.caller.number },
-                    logger
-                );
-                callState.sttAudioPath = sttAudioPath;
-            }
+        if (callState && mainChannel) {
 
-            // Save interaction to DB before continuing. This is fire-and-forget.
-            this.saveInteraction(callState);
+            // Save the STT audio and the interaction before continuing, unless the dialog already did.
+            await this.saveTurnResults(callState);
 
-            logger.info(`Continuing in dialplan.`);
+            logger.info(target ? `Continuing in dialplan at ${target.context},${target.extension},${target.priority}.` : `Continuing in dialplan.`);
             try {
+                await mainChannel.setChannelVar({ variable: 'ATTEMPTS', value: String(callState.attempt) });
+                if (callState.detectedLanguage) {
+                    await mainChannel.setChannelVar({ variable: 'DETECTED_LANGUAGE', value: callState.detectedLanguage });
+                }
+                if (callState.dialogStatus) {
+                    await mainChannel.setChannelVar({ variable: 'DIALOG_STATUS', value: callState.dialogStatus });
+                    await mainChannel.setChannelVar({ variable: 'DIALOG_TURNS', value: String(callState.turn) });
+                }
+                if (callState.validation) {
+                    await mainChannel.setChannelVar({ variable: 'VALIDATION_STATUS', value: callState.validation.status });
+                    await mainChannel.setChannelVar({ variable: 'NORMALIZED_RESULT', value: callState.validation.normalized });
+                }
                 if (callState.recognitionMode === 'dtmf') {
                     await mainChannel.setChannelVar({ variable: 'DTMF_RESULT', value: callState.dtmfDigits });
+                    await mainChannel.setChannelVar({ variable: 'DTMF_TERMINATION_REASON', value: (callState.dtmfTerminationReason || 'timeout').toUpperCase() });
+                    await mainChannel.setChannelVar({ variable: 'DTMF_TERMINATOR', value: callState.dtmfTerminator });
                     await mainChannel.setChannelVar({ variable: 'RECOGNITION_MODE', value: 'DTMF' });
+                } else if (callState.recognitionMode === 'no_input' || callState.recognitionMode === 'timeout') {
+                    await mainChannel.setChannelVar({ variable: 'RECOGNITION_MODE', value: callState.recognitionMode.toUpperCase() });
+                } else if (callState.recognitionMode === 'error') {
+                    await mainChannel.setChannelVar({ variable: 'RECOGNITION_ERROR_CODE', value: callState.errorCode || '' });
+                    await mainChannel.setChannelVar({ variable: 'RECOGNITION_MODE', value: 'ERROR' });
                 } else {
                     // Always set the simple transcript
                     await mainChannel.setChannelVar({ variable: 'TRANSCRIPT', value: callState.finalTranscript });
@@ -733,9 +2329,29 @@ class App {
                         await mainChannel.setChannelVar({ variable: 'TRANSCRIPT_DETAILED', value: detailedString });
                     }
 
+                    // Confidence and N-best alternatives, if the provider gives them.
+                    if (callState.confidence !== null) {
+                        await mainChannel.setChannelVar({ variable: 'TRANSCRIPT_CONFIDENCE', value: String(callState.confidence) });
+                        await mainChannel.setChannelVar({ variable: 'TRANSCRIPT_ALT_COUNT', value: String(callState.alternatives.length) });
+                        for (const [index, alternative] of callState.alternatives.entries()) {
+                            await mainChannel.setChannelVar({ variable: `TRANSCRIPT_ALT_${index + 1}`, value: alternative.text });
+                        }
+                    }
+                    if (callState.confirmationStatus) {
+                        await mainChannel.setChannelVar({ variable: 'TRANSCRIPT_CONFIRMATION', value: callState.confirmationStatus });
+                    }
+                    for (const [language, text] of Object.entries(callState.translations || {})) {
+                        await mainChannel.setChannelVar({ variable: getTranslationVariable(language), value: text });
+                    }
+                    if (callState.dictationEndReason) {
+                        await mainChannel.setChannelVar({ variable: 'DICTATION_END_REASON', value: callState.dictationEndReason.toUpperCase() });
+                        await mainChannel.setChannelVar({ variable: 'DICTATION_SEGMENTS', value: JSON.stringify(callState.segments) });
+                        await mainChannel.setChannelVar({ variable: 'DICTATION_RECORDING', value: callState.sttAudioPath || '' });
+                    }
+
                     await mainChannel.setChannelVar({ variable: 'RECOGNITION_MODE', value: 'VOICE' });
                 }
-                await mainChannel.continueInDialplan();
+                await mainChannel.continueInDialplan(target || {});
             } catch (err) {
                  logger.error(`Error continuing in dialplan:`, err);
             }
@@ -747,14 +2363,29 @@ class App {
         if (!callState) return;
         const { logger } = callState;
         logger.info(`Cleaning up resources...`);
+        // Set before the recognition is stopped below, so that its result is not retried, confirmed or sent to the dialog.
+        if (!callState.isFinished) {
+            callState.hungUp = true;
+        }
 
         // Clear all timers
         clearTimeout(callState.timers.session);
         clearTimeout(callState.timers.noInput);
+        clearTimeout(callState.timers.firstDigit);
         clearTimeout(callState.timers.dtmf);
+        clearTimeout(callState.timers.dictation);
+        clearTimeout(callState.timers.dictationSilence);
+        if (callState.silence) {
+            clearTimeout(callState.silence.timer);
+            callState.silence.resolve();
+        }
+        callState.talkListeners = null;
 
         // Remove all listeners from the channel to prevent memory leaks
         callState.mainChannel.removeAllListeners();
+        if (callState.vad) {
+            callState.vad.removeAllListeners();
+        }
 
         if (callState.snoopChannel) {
             try { await callState.snoopChannel.hangup(); } catch (e) { /* ignore */ }
@@ -762,6 +2393,9 @@ class App {
         if (callState.externalMediaChannel) {
             try { await callState.externalMediaChannel.hangup(); } catch (e) { /* ignore */ }
         }
+        if (callState.ttsChannel) {
+            try { await callState.ttsChannel.hangup(); } catch (e) { /* ignore */ }
+        }
         if (callState.userBridge) {
             try { await callState.userBridge.destroy(); } catch (e) { /* ignore */ }
         }
@@ -769,10 +2403,35 @@ class App {
             try { await callState.snoopBridge.destroy(); } catch (e) { /* ignore */ }
         }
         if (callState.rtpServer) {
+            const { received, lost, jitter } = callState.rtpServer.stats;
+            metrics.rtpPacketsReceivedTotal.inc({}, received);
+            metrics.rtpPacketsLostTotal.inc({}, lost);
+            if (received > 1) {
+                metrics.rtpJitterSeconds.observe({}, jitter);
+            }
             callState.rtpServer.close();
         }
-        if (callState.azureService) {
-            callState.azureService.stopContinuousRecognition();
+        if (callState.ttsRtpServer) {
+            callState.ttsRtpServer.close();
+        }
+        if (callState.speechProvider) {
+            // A dictation ended by hanging up is still saved, as a voicemail would be.
+            if (callState.isRecognizing && callState.config.app.dictation.enabled) {
+                callState.dictationEndReason = 'hangup';
+            }
+            callState.speechProvider.stopContinuousRecognition();
+        }
+
+        const logEntries = logger.getCapturedEntries();
+        if (logEntries) {
+            const write = soundManager.saveCallLog(
+                logEntries,
+                { uniqueId: callState.mainChannel.id, callerId: callState.mainChannel.caller.number },
+                logger
+            );
+            this.pendingWrites.add(write);
+            await write;
+            this.pendingWrites.delete(write);
         }
     }
 }
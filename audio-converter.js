@@ -1,6 +1,6 @@
 'use strict';
 
-const { ulawToPCM } = require('g711');
+const { ulawToPCM, ulawFromPCM, alawToPCM, alawFromPCM } = require('g711');
 
 /**
  * Converts a buffer of audio data from u-law format to 16-bit linear PCM format.
@@ -17,6 +17,100 @@ function ulawToPcm(ulawAudioBuffer) {
     return Buffer.from(pcmInt16Array.buffer);
 }
 
+/**
+ * Copies a little-endian 16-bit PCM buffer into an Int16Array.
+ * A copy is needed because Buffers may not be 2-byte aligned in their pool.
+ * @param {Buffer} pcmBuffer
+ * @returns {Int16Array}
+ */
+function pcmToInt16Array(pcmBuffer) {
+    const samples = new Int16Array(Math.floor(pcmBuffer.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcmBuffer.readInt16LE(i * 2);
+    }
+    return samples;
+}
+
+/**
+ * Returns a copy of a 16-bit buffer with the byte order of every sample swapped.
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function swap16(buffer) {
+    const swapped = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+    return swapped.swap16();
+}
+
+/**
+ * Registry of the audio formats that can be negotiated with Asterisk for the
+ * external media channel. Every codec converts to and from 16-bit little-endian
+ * linear PCM, which is what Azure and the WAV recordings use.
+ *
+ * Signed linear formats travel over RTP in network byte order (big-endian).
+ */
+const CODECS = {
+    ulaw: {
+        name: 'ulaw',
+        sampleRate: 8000,
+        bytesPerSample: 1,
+        payloadType: 0,
+        decode: ulawToPcm,
+        encode: (pcmBuffer) => Buffer.from(ulawFromPCM(pcmToInt16Array(pcmBuffer))),
+    },
+    alaw: {
+        name: 'alaw',
+        sampleRate: 8000,
+        bytesPerSample: 1,
+        payloadType: 8,
+        decode: (alawAudioBuffer) => Buffer.from(alawToPCM(alawAudioBuffer).buffer),
+        encode: (pcmBuffer) => Buffer.from(alawFromPCM(pcmToInt16Array(pcmBuffer))),
+    },
+    slin: {
+        name: 'slin',
+        sampleRate: 8000,
+        bytesPerSample: 2,
+        payloadType: 11,
+        decode: swap16,
+        encode: swap16,
+    },
+    slin16: {
+        name: 'slin16',
+        sampleRate: 16000,
+        bytesPerSample: 2,
+        payloadType: 118,
+        decode: swap16,
+        encode: swap16,
+    },
+};
+
+/**
+ * Looks up a codec by its Asterisk format name.
+ * @param {string} format - The format name (e.g. 'ulaw', 'alaw', 'slin', 'slin16').
+ * @returns {object} The codec descriptor.
+ * @throws {Error} If the format is not supported.
+ */
+function getCodec(format) {
+    const codec = CODECS[(format || '').toLowerCase()];
+    if (!codec) {
+        throw new Error(`Unsupported audio format '${format}'. Supported formats: ${Object.keys(CODECS).join(', ')}`);
+    }
+    return codec;
+}
+
+/**
+ * Extracts the sample rate from an Azure TTS output format name.
+ * @param {string} outputFormat - e.g. 'Riff8Khz16BitMonoPcm', 'Raw16Khz16BitMonoPcm'.
+ * @returns {number} The sample rate in Hz (8000 if it cannot be determined).
+ */
+function getTtsSampleRate(outputFormat) {
+    const match = /(\d+)Khz/i.exec(outputFormat || '');
+    return match ? parseInt(match[1], 10) * 1000 : 8000;
+}
+
 module.exports = {
     ulawToPcm,
+    pcmToInt16Array,
+    getCodec,
+    getTtsSampleRate,
+    CODECS,
 };
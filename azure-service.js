@@ -1,127 +1,460 @@
 'use strict';
 
-const fs = require('fs');
 const sdk = require('microsoft-cognitiveservices-speech-sdk');
-const EventEmitter = require('events');
 const { PassThrough } = require('stream');
+const { SpeechProvider } = require('./speech-provider');
+const { getWavDataOffset } = require('./wav-helper');
+const { buildSsml } = require('./ssml');
+const { getBreaker } = require('./circuit-breaker');
+const { getPhrases } = require('./phrase-lists');
+const { normalizePhrase } = require('./recognition-result');
+const metrics = require('./metrics');
 const createLogger = require('./logger');
 
+// Gender of each voice, looked up once from the voice list of the region:
+// region/voice -> { gender, expiresAt }. A failed lookup is remembered as unknown for a while.
+const voiceGenders = new Map();
+const VOICE_LOOKUP_RETRY_MS = 5 * 60 * 1000;
+// Values of VoiceInfo.gender (SynthesisVoiceGender, not exported by the SDK). 0 is Unknown.
+const VOICE_GENDER_NAMES = { 1: 'Female', 2: 'Male', 3: 'Neutral' };
+// Cancellation errors caused by the region or the key rather than by the request,
+// e.g. an invalid SSML. Only these count for the circuit breaker and fail over.
+const ENDPOINT_ERROR_CODES = ['AUTHENTICATION_FAILURE', 'FORBIDDEN', 'TOO_MANY_REQUESTS', 'CONNECTION_FAILURE', 'SERVICE_TIMEOUT', 'SERVICE_ERROR'];
+// Values of AZURE_STT_PROFANITY.
+const PROFANITY_OPTIONS = { masked: sdk.ProfanityOption.Masked, removed: sdk.ProfanityOption.Removed, raw: sdk.ProfanityOption.Raw };
+
+/**
+ * Builds the error of a canceled request.
+ * @param {number} errorCode - A CancellationErrorCode.
+ * @param {string} errorDetails
+ * @returns {Error} With `code` set to the error name in upper snake case, e.g. 'CONNECTION_FAILURE'.
+ */
+function createCancellationError(errorCode, errorDetails) {
+    const name = sdk.CancellationErrorCode[errorCode] || 'ServiceError';
+    const err = new Error(errorDetails || `Azure Speech request canceled: ${name}`);
+    err.code = name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+    return err;
+}
+
+function isEndpointError(err) {
+    return ENDPOINT_ERROR_CODES.includes(err.code);
+}
+
+/**
+ * @param {object} sttConfig - The `azure.stt` configuration.
+ * @returns {string[]} The languages of AZURE_STT_CANDIDATE_LANGUAGES; empty if language identification is off.
+ */
+function getCandidateLanguages(sttConfig) {
+    return String(sttConfig.candidateLanguages || '').split(',').map(l => l.trim()).filter(l => l.length > 0);
+}
+
+/**
+ * Returns the language of a recognition: the one identified for most of the
+ * recognized speech, since in continuous mode each phrase may differ.
+ * @param {Map<string, number>} languageDurations - Duration of the phrases of each language.
+ * @returns {string|null}
+ */
+function getMainLanguage(languageDurations) {
+    let mainLanguage = null;
+    let longest = -1;
+    for (const [language, duration] of languageDurations) {
+        if (duration > longest) {
+            mainLanguage = language;
+            longest = duration;
+        }
+    }
+    return mainLanguage;
+}
+
+/**
+ * @param {Map<string, string[]>} translatedPhrases - Translated phrases of each target language.
+ * @returns {object} The whole translation of each target language, e.g. { es: 'Quiero una cita.' }.
+ */
+function getTranslations(translatedPhrases) {
+    const translations = {};
+    for (const [language, phrases] of translatedPhrases) {
+        translations[language] = phrases.join(' ').trim();
+    }
+    return translations;
+}
+
 /**
  * Manages interactions with Azure Speech Services for both
  * Text-to-Speech (TTS) and Speech-to-Text (STT).
+ *
+ * Requests go to the primary region and, if AZURE_SPEECH_SECONDARY_REGION is
+ * set, fail over to the secondary one. Each region has a circuit breaker
+ * (see circuit-breaker.js) that skips it for a while after repeated failures.
  */
-class AzureService extends EventEmitter {
+class AzureService extends SpeechProvider {
     constructor(config, logger) {
-        super();
-        this.logger = logger || createLogger();
-        this.config = config; // Store config for later use
-        this.speechConfig = sdk.SpeechConfig.fromSubscription(config.azure.subscriptionKey, config.azure.region);
+        super(config, logger || createLogger());
+        this.endpoints = [{ region: config.azure.region, subscriptionKey: config.azure.subscriptionKey }];
+        const { secondary } = config.azure;
+        if (secondary.subscriptionKey && secondary.region) {
+            this.endpoints.push({ region: secondary.region, subscriptionKey: secondary.subscriptionKey });
+        }
+        this.speechConfigs = new Map();
+        this.translationConfigs = new Map();
+
+        this.sttRecognizer = null;
+        this.sttPushStream = null;
+        this.sttSession = null;
+    }
+
+    /**
+     * Returns the SpeechConfig of a region, created on first use.
+     * @param {{region: string, subscriptionKey: string}} endpoint
+     * @returns {sdk.SpeechConfig}
+     */
+    getSpeechConfig(endpoint) {
+        if (this.speechConfigs.has(endpoint.region)) return this.speechConfigs.get(endpoint.region);
+        const { config } = this;
+        const speechConfig = sdk.SpeechConfig.fromSubscription(endpoint.subscriptionKey, endpoint.region);
 
         // TTS Configuration
-        this.speechConfig.speechSynthesisLanguage = config.azure.tts.language;
-        this.speechConfig.speechSynthesisVoiceName = config.azure.tts.voiceName;
+        speechConfig.speechSynthesisLanguage = config.azure.tts.language;
+        speechConfig.speechSynthesisVoiceName = config.azure.tts.voiceName;
         // The output format must match what Asterisk can play.
         // e.g., Riff8Khz16BitMonoPcm
-        this.speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat[config.azure.tts.outputFormat];
+        speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat[config.azure.tts.outputFormat];
 
         // STT Configuration
-        this.speechConfig.speechRecognitionLanguage = config.azure.stt.language;
-        if (config.azure.stt.outputFormat === 'detailed') {
-            this.speechConfig.outputFormat = sdk.OutputFormat.Detailed;
+        this.applyRecognitionSettings(speechConfig);
+
+        this.speechConfigs.set(endpoint.region, speechConfig);
+        return speechConfig;
+    }
+
+    /**
+     * Returns the SpeechTranslationConfig of a region for some target
+     * languages, created on first use.
+     * @param {{region: string, subscriptionKey: string}} endpoint
+     * @param {string[]} targetLanguages - e.g. ['es'].
+     * @returns {sdk.SpeechTranslationConfig}
+     */
+    getTranslationConfig(endpoint, targetLanguages) {
+        const cacheKey = `${endpoint.region}/${targetLanguages.join(',')}`;
+        if (this.translationConfigs.has(cacheKey)) return this.translationConfigs.get(cacheKey);
+        const translationConfig = sdk.SpeechTranslationConfig.fromSubscription(endpoint.subscriptionKey, endpoint.region);
+        this.applyRecognitionSettings(translationConfig);
+        for (const language of targetLanguages) {
+            translationConfig.addTargetLanguage(language);
+        }
+        this.translationConfigs.set(cacheKey, translationConfig);
+        return translationConfig;
+    }
+
+    /**
+     * Applies the `azure.stt` settings to the config of a recognizer: language,
+     * output format, silence timeouts, profanity, word timestamps, dictation
+     * and custom speech endpoint. Timeouts of 0 and empty values keep the
+     * defaults of the service.
+     * @param {sdk.SpeechConfig} speechConfig - A SpeechConfig or SpeechTranslationConfig.
+     */
+    applyRecognitionSettings(speechConfig) {
+        const { stt } = this.config.azure;
+        speechConfig.speechRecognitionLanguage = stt.language;
+        // Word timings are only part of the detailed result.
+        if (stt.outputFormat === 'detailed' || stt.wordTimestamps) {
+            speechConfig.outputFormat = sdk.OutputFormat.Detailed;
             this.logger.info('Azure STT output format set to Detailed.');
         }
+        if (stt.initialSilenceTimeout > 0) {
+            speechConfig.setProperty(sdk.PropertyId.SpeechServiceConnection_InitialSilenceTimeoutMs, String(stt.initialSilenceTimeout));
+        }
+        if (stt.endSilenceTimeout > 0) {
+            speechConfig.setProperty(sdk.PropertyId.SpeechServiceConnection_EndSilenceTimeoutMs, String(stt.endSilenceTimeout));
+        }
+        if (stt.segmentationSilenceTimeout > 0) {
+            speechConfig.setProperty(sdk.PropertyId.Speech_SegmentationSilenceTimeoutMs, String(stt.segmentationSilenceTimeout));
+        }
+        if (stt.profanity) {
+            const option = PROFANITY_OPTIONS[stt.profanity.toLowerCase()];
+            if (option === undefined) {
+                this.logger.warn(`Unknown AZURE_STT_PROFANITY '${stt.profanity}'. Expected one of ${Object.keys(PROFANITY_OPTIONS).join(', ')}. The service default is used.`);
+            } else {
+                speechConfig.setProfanity(option);
+            }
+        }
+        if (stt.wordTimestamps) {
+            speechConfig.requestWordLevelTimestamps();
+        }
+        if (stt.dictation) {
+            speechConfig.enableDictation();
+        }
+        if (stt.endpointId) {
+            speechConfig.endpointId = stt.endpointId;
+            this.logger.info(`Azure STT uses the custom speech endpoint ${stt.endpointId}.`);
+        }
+    }
 
-        this.sttRecognizer = null;
-        this.sttPushStream = null;
+    getBreaker(endpoint) {
+        return getBreaker(endpoint.region, this.config.azure.circuitBreaker);
     }
 
     /**
-     * Synthesizes text to an audio stream.
-     * @param {string} text - The text to synthesize.
-     * @returns {Promise<PassThrough>} A promise that resolves with a stream of audio data.
+     * Returns the regions to try, in order, leaving out those with an open circuit.
+     * @returns {object[]}
+     * @throws {Error} With code 'CIRCUIT_OPEN' if the circuits of all regions are open.
      */
-    synthesizeText(text) {
+    getAvailableEndpoints() {
+        const available = this.endpoints.filter(endpoint => this.getBreaker(endpoint).canRequest());
+        if (available.length === 0) {
+            const err = new Error(`The circuit of every Azure region (${this.endpoints.map(endpoint => endpoint.region).join(', ')}) is open.`);
+            err.code = 'CIRCUIT_OPEN';
+            throw err;
+        }
+        return available;
+    }
+
+    recordFailure(endpoint, err) {
+        if (this.getBreaker(endpoint).recordFailure()) {
+            this.logger.warn(`Circuit of Azure region ${endpoint.region} opened after ${err.code}. It is skipped for ${this.config.azure.circuitBreaker.cooldownMs} ms.`);
+        }
+    }
+
+    /**
+     * Returns the gender of the configured voice for the SSML `<voice>` element:
+     * AZURE_TTS_VOICE_GENDER if set, otherwise the one in Azure's voice list.
+     * The list is only asked for when a speaking style is configured, and not
+     * while the circuit of the region is open, so that it never delays a prompt
+     * that does not need it.
+     * @param {object} [endpoint] - The region to ask, by default the first available one.
+     * @returns {Promise<string|null>} 'Female', 'Male', 'Neutral', or null if unknown.
+     */
+    async getVoiceGender(endpoint = this.getAvailableEndpoints()[0]) {
+        const { voiceName, voiceGender, language, style } = this.config.azure.tts;
+        if (voiceGender) return voiceGender;
+        if (!style || !this.getBreaker(endpoint).canRequest()) return null;
+        const cacheKey = `${endpoint.region}/${voiceName}`;
+        const cached = voiceGenders.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.gender;
+
+        let gender = null;
+        let expiresAt = Date.now() + VOICE_LOOKUP_RETRY_MS;
+        const synthesizer = new sdk.SpeechSynthesizer(this.getSpeechConfig(endpoint), null);
+        try {
+            const result = await synthesizer.getVoicesAsync(language);
+            if (result.reason === sdk.ResultReason.VoicesListRetrieved) {
+                const voice = result.voices.find(v => v.shortName === voiceName || v.name === voiceName);
+                gender = (voice && VOICE_GENDER_NAMES[voice.gender]) || null;
+                expiresAt = Infinity;
+            } else {
+                this.logger.warn(`Could not retrieve the Azure voice list: ${result.errorDetails}. Retrying in ${VOICE_LOOKUP_RETRY_MS / 1000} s.`);
+            }
+        } catch (err) {
+            this.logger.warn(`Could not retrieve the Azure voice list. Retrying in ${VOICE_LOOKUP_RETRY_MS / 1000} s.`, err);
+        } finally {
+            synthesizer.close();
+        }
+        voiceGenders.set(cacheKey, { gender, expiresAt });
+        if (!gender) {
+            this.logger.debug(`Gender of voice '${voiceName}' is unknown; it is left out of the SSML.`);
+        }
+        return gender;
+    }
+
+    /**
+     * Synthesizes text to an audio stream, failing over to the secondary
+     * region if the first one fails before sending any audio.
+     * @param {string} text - The text to synthesize, plain or SSML.
+     * @param {object} [options]
+     * @param {boolean} [options.ssml=false] - Whether `text` is an SSML document or fragment, see ssml.js.
+     * @returns {Promise<PassThrough>} A promise that resolves with a stream of audio data. It rejects
+     *   if no audio could be synthesized; a failure after the audio has started is emitted as 'error'.
+     */
+    async synthesizeText(text, { ssml: isSsml = false } = {}) {
+        const endpoints = this.getAvailableEndpoints();
+        const ssml = buildSsml(text, this.config.azure.tts, { ssml: isSsml, gender: await this.getVoiceGender(endpoints[0]), logger: this.logger });
+        this.logger.debug({ ssml: ssml }, 'Sending SSML to Azure for TTS');
+
+        for (let i = 0; ; i++) {
+            try {
+                return await this.synthesizeWithEndpoint(endpoints[i], ssml);
+            } catch (err) {
+                if (i === endpoints.length - 1 || !isEndpointError(err)) throw err;
+                this.logger.warn(`Azure TTS failed in region ${endpoints[i].region} (${err.code}). Retrying in ${endpoints[i + 1].region}.`);
+                metrics.azureFailoversTotal.inc({ operation: 'tts' });
+            }
+        }
+    }
+
+    /**
+     * Synthesizes SSML in one region.
+     * @returns {Promise<PassThrough>} Resolves with the first audio chunk, or once synthesis
+     *   completes without audio; rejects if it fails before that.
+     */
+    synthesizeWithEndpoint(endpoint, ssml) {
         return new Promise((resolve, reject) => {
             const audioStream = new PassThrough();
+            // The start of the stream is held back until it is known whether it has a WAV header.
+            let streamStart = Buffer.alloc(0);
+            let isSettled = false;
+
+            const settle = () => {
+                if (isSettled) return;
+                isSettled = true;
+                resolve(audioStream);
+            };
+            const fail = (err) => {
+                if (isEndpointError(err)) this.recordFailure(endpoint, err);
+                if (isSettled) {
+                    audioStream.emit('error', err);
+                } else {
+                    isSettled = true;
+                    reject(err);
+                }
+            };
 
             const pushStream = sdk.PushAudioOutputStream.create({
                 write: (buffer) => {
-                    audioStream.push(Buffer.from(buffer));
+                    let chunk = Buffer.from(buffer);
+                    if (streamStart) {
+                        // 'Riff*' output formats start with a WAV header, which may be split
+                        // across chunks; consumers expect raw PCM.
+                        streamStart = Buffer.concat([streamStart, chunk]);
+                        const dataOffset = getWavDataOffset(streamStart);
+                        if (dataOffset === null) return;
+                        chunk = streamStart.slice(dataOffset);
+                        streamStart = null;
+                    }
+                    if (chunk.length > 0) {
+                        audioStream.push(chunk);
+                    }
+                    settle();
                 },
                 close: () => {
+                    // Bytes still held back are an incomplete header.
                     audioStream.push(null); // End the stream
                 },
             });
 
             const audioConfig = sdk.AudioConfig.fromStreamOutput(pushStream);
-            const synthesizer = new sdk.SpeechSynthesizer(this.speechConfig, audioConfig);
-
-            // Construct SSML for detailed logging
-            const ssml = `<speak version='1.0' xml:lang='${this.config.azure.tts.language}'><voice xml:lang='${this.config.azure.tts.language}' xml:gender='Female' name='${this.config.azure.tts.voiceName}'>${text}</voice></speak>`;
-            this.logger.debug({ ssml: ssml }, 'Sending SSML to Azure for TTS');
+            const synthesizer = new sdk.SpeechSynthesizer(this.getSpeechConfig(endpoint), audioConfig);
 
             synthesizer.speakSsmlAsync( // Use speakSsmlAsync to be explicit
                 ssml,
                 result => {
                     this.logger.debug({ ttsResult: result }, 'Received TTS result from Azure');
                     if (result.reason === sdk.ResultReason.SynthesizingAudioCompleted) {
-                        this.logger.info("Azure TTS synthesis completed.");
+                        this.logger.info(`Azure TTS synthesis completed in region ${endpoint.region}.`);
+                        this.getBreaker(endpoint).recordSuccess();
+                        settle();
                     } else {
-                        this.logger.error(`Azure TTS synthesis failed: ${result.errorDetails}`);
-                        audioStream.emit('error', new Error(result.errorDetails));
+                        let err = new Error(result.errorDetails);
+                        if (result.reason === sdk.ResultReason.Canceled) {
+                            const cancellation = sdk.CancellationDetails.fromResult(result);
+                            metrics.azureCancellationsTotal.inc({ operation: 'tts', reason: sdk.CancellationReason[cancellation.reason] });
+                            err = createCancellationError(cancellation.ErrorCode, result.errorDetails);
+                        }
+                        this.logger.error(`Azure TTS synthesis failed in region ${endpoint.region}: ${result.errorDetails}`);
+                        fail(err);
                     }
                     synthesizer.close();
                 },
                 err => {
-                    this.logger.error(`Azure TTS synthesis error: ${err}`);
-                    audioStream.emit('error', err);
+                    this.logger.error(`Azure TTS synthesis error in region ${endpoint.region}: ${err}`);
                     synthesizer.close();
-                    reject(err);
+                    const error = new Error(String(err));
+                    error.code = 'CONNECTION_FAILURE';
+                    fail(error);
                 }
             );
-
-            resolve(audioStream);
         });
     }
 
     /**
      * Starts a continuous speech recognition session.
      * Audio should be pushed to the stream provided by the 'audioStreamReady' event.
+     *
+     * If the region fails before any phrase is recognized, the session starts
+     * again in the next region and the audio pushed so far is sent to it, so
+     * the caller does not have to repeat themselves.
+     * @param {object} [audioFormat] - Format of the PCM audio that will be pushed.
+     * @param {number} [audioFormat.sampleRate=8000] - 8000 for narrowband, 16000 for wideband.
      */
-    startContinuousRecognition() {
-        const audioFormat = sdk.AudioStreamFormat.getWaveFormatPCM(8000, 16, 1);
-        this.sttPushStream = sdk.AudioInputStream.createPushStream(audioFormat);
-        const audioConfig = sdk.AudioConfig.fromStreamInput(this.sttPushStream);
-        this.sttRecognizer = new sdk.SpeechRecognizer(this.speechConfig, audioConfig);
-
-        // Add phrase list if provided
-        const phraseListFilePath = this.config.azure.stt.phraseListFilePath;
-        if (phraseListFilePath) {
-            try {
-                if (fs.existsSync(phraseListFilePath) && fs.statSync(phraseListFilePath).size > 0) {
-                    const phraseListData = fs.readFileSync(phraseListFilePath, 'utf8');
-                    const phrases = phraseListData.split('\n').map(p => p.trim()).filter(p => p.length > 0);
-
-                    if (phrases.length > 0) {
-                        const phraseListGrammar = sdk.PhraseListGrammar.fromRecognizer(this.sttRecognizer);
-                        for (const phrase of phrases) {
-                            phraseListGrammar.addPhrase(phrase);
-                        }
-                        this.logger.info(`Applied phrase list with ${phrases.length} phrases from ${phraseListFilePath}`);
-                    } else {
-                        this.logger.warn(`Phrase list file '${phraseListFilePath}' is empty or contains no valid phrases.`);
-                    }
-                } else {
-                    this.logger.warn(`Phrase list file not found or is empty: ${phraseListFilePath}`);
-                }
-            } catch (err) {
-                this.logger.error(`Error processing phrase list file '${phraseListFilePath}':`, err);
-            }
+    startContinuousRecognition(audioFormat) {
+        this.startSession(audioFormat, null);
+    }
+
+    /**
+     * Starts a continuous speech translation session. It works as
+     * startContinuousRecognition(), and 'recognitionEnded' also carries
+     * `translations`, the text in each target language.
+     * @param {object} [audioFormat] - See startContinuousRecognition().
+     * @param {string[]} targetLanguages - Languages to translate to, e.g. ['es', 'en'].
+     */
+    startContinuousTranslation(audioFormat, targetLanguages) {
+        this.startSession(audioFormat, targetLanguages);
+    }
+
+    /**
+     * Starts a recognition session, translated to `targetLanguages` if given.
+     */
+    startSession({ sampleRate = 8000 } = {}, targetLanguages) {
+        let endpoints;
+        try {
+            endpoints = this.getAvailableEndpoints();
+        } catch (err) {
+            this.logger.error(`Azure STT not started: ${err.message}`);
+            // Emitted later so that the caller has registered its listeners.
+            setImmediate(() => this.emit('recognitionError', err));
+            return;
+        }
+        this.logger.info(`Azure STT input format: ${sampleRate} Hz, 16-bit mono PCM.`);
+        if (targetLanguages) {
+            this.logger.info(`Azure speech translation to ${targetLanguages.join(', ')}.`);
         }
 
-        const detailedResults = [];
+        const session = {
+            endpoints,
+            index: 0,
+            audioFormat: sdk.AudioStreamFormat.getWaveFormatPCM(sampleRate, 16, 1),
+            recognizer: null,
+            pushStream: null, // The stream of the recognizer, once it has started.
+            // The audio is kept for a failover until the first phrase is recognized.
+            audio: endpoints.length > 1 ? [] : null,
+            detailedResults: [],
+            // Duration of the recognized speech of each language, with language identification.
+            languageDurations: getCandidateLanguages(this.config.azure.stt).length > 0 ? new Map() : null,
+            targetLanguages,
+            // Translated phrases of each target language, when translating.
+            translatedPhrases: targetLanguages ? new Map(targetLanguages.map(language => [language, []])) : null,
+            isReady: false,
+            isStopRequested: false,
+        };
+        this.sttSession = session;
+        this.sttPushStream = {
+            write: (chunk) => {
+                if (session.audio) session.audio.push(Buffer.from(chunk));
+                if (session.pushStream) session.pushStream.write(chunk);
+            },
+            close: () => this.stopContinuousRecognition(),
+        };
+        this.startRecognizer(session);
+    }
 
-        this.sttRecognizer.recognizing = (s, e) => {
+    /**
+     * Starts the recognizer of a session in its current region.
+     */
+    startRecognizer(session) {
+        const endpoint = session.endpoints[session.index];
+        const pushStream = sdk.AudioInputStream.createPushStream(session.audioFormat);
+        const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+        const recognizer = this.createRecognizer(endpoint, audioConfig, session.targetLanguages);
+        session.recognizer = recognizer;
+        session.pushStream = null;
+        this.sttRecognizer = recognizer;
+
+        this.applyPhraseList(recognizer);
+
+        const { detailedResults, languageDurations, translatedPhrases } = session;
+        // Events of a recognizer abandoned after a failover are ignored.
+        const isCurrent = () => this.sttSession === session && session.recognizer === recognizer;
+
+        recognizer.recognizing = (s, e) => {
+            if (!isCurrent()) return;
             const resultText = e.result.text;
             this.logger.debug(`Azure STT Intermediate result: ${resultText}`);
             if (resultText) {
@@ -131,68 +464,175 @@ class AzureService extends EventEmitter {
             this.emit('recognizing', { text: resultText });
         };
 
-        this.sttRecognizer.recognized = (s, e) => {
-            if (e.result.reason === sdk.ResultReason.RecognizedSpeech) {
+        recognizer.recognized = (s, e) => {
+            if (!isCurrent()) return;
+            // A translation recognizer gives TranslatedSpeech, or RecognizedSpeech if the phrase could not be translated.
+            if (e.result.reason === sdk.ResultReason.RecognizedSpeech || e.result.reason === sdk.ResultReason.TranslatedSpeech) {
                 this.logger.info(`Azure STT Final result: ${e.result.text}`);
                 const jsonResult = e.result.json;
                 this.logger.debug({ azureSttResponse: JSON.parse(jsonResult) }, 'Received STT recognized response from Azure');
-                detailedResults.push(JSON.parse(jsonResult));
+                detailedResults.push(normalizePhrase(JSON.parse(jsonResult), e.result.text));
+                if (languageDurations) {
+                    // 'Unknown' if none of the candidates matched.
+                    const { language } = sdk.AutoDetectSourceLanguageResult.fromResult(e.result);
+                    if (language && language !== 'Unknown') {
+                        this.logger.info(`Azure STT identified language: ${language}`);
+                        languageDurations.set(language, (languageDurations.get(language) || 0) + (e.result.duration || 0));
+                    }
+                }
+                if (translatedPhrases && e.result.translations) {
+                    for (const [language, phrases] of translatedPhrases) {
+                        const translation = e.result.translations.get(language, '');
+                        this.logger.info(`Azure STT translation (${language}): ${translation}`);
+                        if (translation) phrases.push(translation);
+                    }
+                }
+                session.audio = null; // Too late for a failover.
             }
         };
 
-        this.sttRecognizer.canceled = (s, e) => {
+        recognizer.canceled = (s, e) => {
+            if (!isCurrent()) return;
             this.logger.error(`Azure STT Canceled: ${e.reason}`);
-            if (e.reason === sdk.CancellationReason.Error) {
-                this.logger.error(`Cancellation Details: ${e.errorDetails}`);
-                const jsonResponse = e.result.properties.getProperty(sdk.PropertyId.SpeechServiceResponse_Json);
-                this.logger.debug({ azureSttResponse: JSON.parse(jsonResponse) }, 'Received STT cancellation response from Azure');
-            }
-            this.emit('recognitionError', new Error(e.errorDetails));
-            this.stopContinuousRecognition();
+            metrics.azureCancellationsTotal.inc({ operation: 'stt', reason: sdk.CancellationReason[e.reason] });
+            // Other reasons (end of stream) are followed by sessionStopped.
+            if (e.reason !== sdk.CancellationReason.Error) return;
+            this.logger.error(`Cancellation Details: ${e.errorDetails}`);
+            this.handleRecognizerFailure(session, createCancellationError(e.errorCode, e.errorDetails));
         };
 
-        this.sttRecognizer.sessionStopped = (s, e) => {
+        recognizer.sessionStopped = (s, e) => {
+            if (!isCurrent()) return;
             this.logger.info("Azure STT session stopped.");
+            this.getBreaker(endpoint).recordSuccess();
             // The session has stopped. All 'recognized' events for the session should have been received.
             // We can now emit the final accumulated text and clean up.
             const finalText = detailedResults.map(r => r.DisplayText).join(' ').trim();
             this.logger.info(`Final accumulated transcript: "${finalText}"`);
+            this.closeSession(session);
             this.emit('recognitionEnded', {
                 finalText: finalText,
-                detailed: detailedResults
+                detailed: detailedResults,
+                language: languageDurations ? getMainLanguage(languageDurations) : null,
+                translations: translatedPhrases ? getTranslations(translatedPhrases) : null,
             });
-
-            // Clean up resources
-            if (this.sttPushStream) {
-                this.sttPushStream.close();
-                this.sttPushStream = null;
-            }
-            if (this.sttRecognizer) {
-                this.sttRecognizer.close();
-                this.sttRecognizer = null;
-            }
         };
 
-        this.sttRecognizer.startContinuousRecognitionAsync(
+        recognizer.startContinuousRecognitionAsync(
             () => {
-                this.logger.info("Azure STT continuous recognition started.");
-                this.emit('audioStreamReady', this.sttPushStream);
+                if (!isCurrent()) return;
+                this.logger.info(`Azure STT continuous recognition started in region ${endpoint.region}.`);
+                if (session.audio) {
+                    for (const chunk of session.audio) pushStream.write(chunk);
+                }
+                session.pushStream = pushStream;
+                if (!session.isReady) {
+                    session.isReady = true;
+                    this.emit('audioStreamReady', this.sttPushStream);
+                }
+                if (session.isStopRequested) {
+                    recognizer.stopContinuousRecognitionAsync();
+                }
             },
             (err) => {
-                this.logger.error(`Error starting Azure STT recognition: ${err}`);
-                this.emit('recognitionError', new Error(err));
+                if (!isCurrent()) return;
+                this.logger.error(`Error starting Azure STT recognition in region ${endpoint.region}: ${err}`);
+                const error = new Error(String(err));
+                error.code = 'CONNECTION_FAILURE';
+                this.handleRecognizerFailure(session, error);
             }
         );
     }
 
+    /**
+     * Creates a recognizer for AZURE_STT_LANGUAGE or, if AZURE_STT_CANDIDATE_LANGUAGES
+     * is set, one that identifies the language among the candidates, at the start
+     * of the audio or for each phrase (AZURE_STT_LANGUAGE_ID_MODE). With target
+     * languages it is a translation recognizer.
+     * @param {object} endpoint
+     * @param {sdk.AudioConfig} audioConfig
+     * @param {string[]|null} targetLanguages
+     * @returns {sdk.SpeechRecognizer|sdk.TranslationRecognizer}
+     */
+    createRecognizer(endpoint, audioConfig, targetLanguages) {
+        const candidates = getCandidateLanguages(this.config.azure.stt);
+        if (candidates.length === 0) {
+            return targetLanguages
+                ? new sdk.TranslationRecognizer(this.getTranslationConfig(endpoint, targetLanguages), audioConfig)
+                : new sdk.SpeechRecognizer(this.getSpeechConfig(endpoint), audioConfig);
+        }
+        const isContinuous = this.config.azure.stt.languageIdMode === 'continuous';
+        const autoDetectConfig = sdk.AutoDetectSourceLanguageConfig.fromLanguages(candidates);
+        autoDetectConfig.mode = isContinuous ? sdk.LanguageIdMode.Continuous : sdk.LanguageIdMode.AtStart;
+        this.logger.info(`Azure STT language identification (${isContinuous ? 'continuous' : 'at start'}) among ${candidates.join(', ')}.`);
+        return targetLanguages
+            ? sdk.TranslationRecognizer.FromConfig(this.getTranslationConfig(endpoint, targetLanguages), autoDetectConfig, audioConfig)
+            : sdk.SpeechRecognizer.FromConfig(this.getSpeechConfig(endpoint), autoDetectConfig, audioConfig);
+    }
+
+    /**
+     * Abandons the failed recognizer of a session and fails over to the next
+     * region, or emits 'recognitionError' if that is not possible.
+     */
+    handleRecognizerFailure(session, err) {
+        const endpoint = session.endpoints[session.index];
+        if (isEndpointError(err)) this.recordFailure(endpoint, err);
+        this.closeRecognizer(session);
+
+        const canFailOver = isEndpointError(err) && session.audio !== null && session.index < session.endpoints.length - 1;
+        if (canFailOver) {
+            session.index++;
+            this.logger.warn(`Azure STT failed in region ${endpoint.region} (${err.code}). Retrying in ${session.endpoints[session.index].region}.`);
+            metrics.azureFailoversTotal.inc({ operation: 'stt' });
+            this.startRecognizer(session);
+            return;
+        }
+        this.closeSession(session);
+        this.emit('recognitionError', err);
+    }
+
+    closeRecognizer(session) {
+        const { recognizer, pushStream } = session;
+        session.recognizer = null;
+        session.pushStream = null;
+        if (pushStream) pushStream.close();
+        if (recognizer) recognizer.close();
+    }
+
+    closeSession(session) {
+        this.closeRecognizer(session);
+        if (this.sttSession === session) {
+            this.sttSession = null;
+            this.sttRecognizer = null;
+            this.sttPushStream = null;
+        }
+    }
+
+    /**
+     * Adds the phrases of the call (see phrase-lists.js) to a recognizer.
+     */
+    applyPhraseList(recognizer) {
+        const { phrases, sources } = getPhrases(this.config.azure.stt, this.logger);
+        if (phrases.length === 0) return;
+        const phraseListGrammar = sdk.PhraseListGrammar.fromRecognizer(recognizer);
+        for (const phrase of phrases) {
+            phraseListGrammar.addPhrase(phrase);
+        }
+        this.logger.info(`Applied phrase list with ${phrases.length} phrases from ${sources.join(', ')}`);
+    }
+
     /**
      * Stops the continuous speech recognition session.
      */
     stopContinuousRecognition() {
         // This function will signal the recognizer to stop.
         // The actual cleanup and event emission will happen in the sessionStopped event handler.
-        if (this.sttRecognizer) {
-            this.sttRecognizer.stopContinuousRecognitionAsync();
+        const session = this.sttSession;
+        if (!session) return;
+        session.isStopRequested = true;
+        // A recognizer still starting is stopped once it has started and received the audio.
+        if (session.recognizer && session.pushStream) {
+            session.recognizer.stopContinuousRecognitionAsync();
         }
     }
 }
@@ -0,0 +1,85 @@
+'use strict';
+
+const metrics = require('./metrics');
+
+/**
+ * Circuit breaker for a speech endpoint (an Azure region), shared by all calls.
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and the
+ * endpoint is skipped for `cooldownMs`. Then it is half-open: requests are let
+ * through again, and the first result closes the circuit or opens it for
+ * another cool-down.
+ */
+class CircuitBreaker {
+    /**
+     * @param {string} name - The endpoint, used in logs and metrics.
+     * @param {object} options - The `azure.circuitBreaker` configuration.
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit.
+     * @param {number} options.cooldownMs - How long the circuit stays open.
+     */
+    constructor(name, { failureThreshold, cooldownMs }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.failures = 0;
+        this.openedAt = null;
+        metrics.azureCircuitOpen.set({ region: name }, 0);
+    }
+
+    /**
+     * @returns {string} 'closed', 'open' or 'half_open'.
+     */
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return Date.now() - this.openedAt >= this.cooldownMs ? 'half_open' : 'open';
+    }
+
+    /**
+     * @returns {boolean} Whether a request may be sent to the endpoint.
+     */
+    canRequest() {
+        return this.state !== 'open';
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        if (this.openedAt !== null) {
+            this.openedAt = null;
+            metrics.azureCircuitOpen.set({ region: this.name }, 0);
+        }
+    }
+
+    /**
+     * @returns {boolean} True if this failure opened the circuit.
+     */
+    recordFailure() {
+        this.failures++;
+        const wasHalfOpen = this.state === 'half_open';
+        if (wasHalfOpen || (this.openedAt === null && this.failures >= this.failureThreshold)) {
+            this.openedAt = Date.now();
+            metrics.azureCircuitOpen.set({ region: this.name }, 1);
+            return true;
+        }
+        return false;
+    }
+}
+
+const breakers = new Map();
+
+/**
+ * Returns the process-wide breaker of an endpoint, creating it on first use.
+ * @param {string} name
+ * @param {object} options - See CircuitBreaker.
+ * @returns {CircuitBreaker}
+ */
+function getBreaker(name, options) {
+    if (!breakers.has(name)) {
+        breakers.set(name, new CircuitBreaker(name, options));
+    }
+    return breakers.get(name);
+}
+
+module.exports = {
+    CircuitBreaker,
+    getBreaker,
+};
@@ -16,19 +16,64 @@ const config = {
         username: process.env.ARI_USERNAME || 'asterisk',
         password: process.env.ARI_PASSWORD || 'asterisk',
         appName: process.env.ARI_APP_NAME || 'speech-to-text-app',
+        reconnect: {
+            initialDelay: parseInt(process.env.ARI_RECONNECT_INITIAL_DELAY_MS, 10) || 1000,
+            maxDelay: parseInt(process.env.ARI_RECONNECT_MAX_DELAY_MS, 10) || 30000,
+        },
+    },
+    speech: {
+        provider: process.env.SPEECH_PROVIDER || 'azure', // 'azure' or 'local'
+        local: {
+            transcriptsFile: process.env.LOCAL_STT_TRANSCRIPTS_FILE || '',
+            defaultTranscript: process.env.LOCAL_STT_DEFAULT_TRANSCRIPT || '',
+            ttsToneFrequency: parseInt(process.env.LOCAL_TTS_TONE_FREQUENCY, 10) || 440,
+        },
     },
     azure: {
         subscriptionKey: process.env.AZURE_SPEECH_SUBSCRIPTION_KEY,
         region: process.env.AZURE_SPEECH_REGION,
+        // Optional second region/key, used when the primary fails or its circuit is open.
+        secondary: {
+            subscriptionKey: process.env.AZURE_SPEECH_SECONDARY_SUBSCRIPTION_KEY || '',
+            region: process.env.AZURE_SPEECH_SECONDARY_REGION || '',
+        },
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.AZURE_CIRCUIT_FAILURE_THRESHOLD, 10) || 3,
+            cooldownMs: parseInt(process.env.AZURE_CIRCUIT_COOLDOWN_MS, 10) || 30000,
+        },
         tts: {
             language: process.env.AZURE_TTS_LANGUAGE || 'es-ES',
             voiceName: process.env.AZURE_TTS_VOICE_NAME || 'es-ES-ElviraNeural',
             outputFormat: process.env.AZURE_TTS_OUTPUT_FORMAT || 'Riff8Khz16BitMonoPcm',
+            voiceGender: process.env.AZURE_TTS_VOICE_GENDER || '', // Looked up from the voice list when empty
+            style: process.env.AZURE_TTS_STYLE || '',
+            styleDegree: process.env.AZURE_TTS_STYLE_DEGREE || '',
+            rate: process.env.AZURE_TTS_RATE || '',
+            pitch: process.env.AZURE_TTS_PITCH || '',
+            volume: process.env.AZURE_TTS_VOLUME || '',
+            // Voice of each identified language, e.g. 'es-EC:es-EC-AndreaNeural,en-US:en-US-JennyNeural'
+            voicesByLanguage: process.env.AZURE_TTS_VOICES_BY_LANGUAGE || '',
         },
         stt: {
             language: process.env.AZURE_STT_LANGUAGE || 'es-ES',
             phraseListFilePath: process.env.AZURE_STT_PHRASE_LIST_FILE_PATH || '',
+            phraseListsDir: process.env.AZURE_STT_PHRASE_LISTS_DIR || './phrase_lists',
+            phraseLists: process.env.AZURE_STT_PHRASE_LISTS || '', // Comma-separated list names
+            phrases: process.env.AZURE_STT_PHRASES || '', // '|'-separated phrases, usually set per call
             outputFormat: process.env.AZURE_STT_OUTPUT_FORMAT || 'simple',
+            // Language identification among comma-separated candidates, e.g. 'es-EC,en-US'. Empty uses `language`.
+            candidateLanguages: process.env.AZURE_STT_CANDIDATE_LANGUAGES || '',
+            languageIdMode: process.env.AZURE_STT_LANGUAGE_ID_MODE || 'at_start', // 'at_start' or 'continuous'
+            // Speech translation: comma-separated target languages, e.g. 'es'. Empty recognizes without translating.
+            translationLanguages: process.env.AZURE_STT_TRANSLATION_LANGUAGES || '',
+            // Silence timeouts of the service in ms; 0 keeps its defaults.
+            initialSilenceTimeout: parseInt(process.env.AZURE_STT_INITIAL_SILENCE_TIMEOUT_MS, 10) || 0,
+            endSilenceTimeout: parseInt(process.env.AZURE_STT_END_SILENCE_TIMEOUT_MS, 10) || 0,
+            segmentationSilenceTimeout: parseInt(process.env.AZURE_STT_SEGMENTATION_SILENCE_TIMEOUT_MS, 10) || 0, // Pause that ends a phrase
+            profanity: process.env.AZURE_STT_PROFANITY || '', // 'masked', 'removed' or 'raw'; empty keeps the default (masked)
+            wordTimestamps: (process.env.AZURE_STT_WORD_TIMESTAMPS || 'false').toLowerCase() === 'true', // Words with times in the detailed result
+            dictation: (process.env.AZURE_STT_DICTATION || 'false').toLowerCase() === 'true', // Spoken punctuation ("coma", "punto")
+            endpointId: process.env.AZURE_STT_ENDPOINT_ID || '', // Custom speech model
         },
     },
     app: {
@@ -39,21 +84,89 @@ const config = {
         vad: {
             activationMode: process.env.VAD_ACTIVATION_MODE || 'after_prompt_start',
             activationDelay: parseInt(process.env.VAD_ACTIVATION_DELAY_MS, 10) || 500,
+            playlistSegment: process.env.VAD_PLAYLIST_SEGMENT || 'auto', // 'auto', 'first' or 'last'
+            engine: process.env.VAD_ENGINE || 'talk_detect', // 'talk_detect' (Asterisk) or 'energy' (in-process, see vad.js)
+            energy: {
+                energyThreshold: parseInt(process.env.VAD_ENERGY_THRESHOLD, 10) || 500, // RMS on the 16-bit scale; lower is more sensitive
+                maxZeroCrossingRate: parseFloat(process.env.VAD_MAX_ZERO_CROSSING_RATE) || 0.4,
+                minSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS, 10) || 100,
+                hangoverMs: parseInt(process.env.VAD_HANGOVER_MS, 10) || 800,
+            },
         },
         prompt: {
             mode: process.env.PROMPT_MODE || 'tts',
             playbackPath: process.env.PLAYBACK_FILE_PATH || '',
         },
+        templates: {
+            directory: process.env.PROMPT_TEMPLATES_DIR || './prompts',
+            currency: process.env.PROMPT_CURRENCY || 'EUR', // ISO 4217 code of the 'currency' formatter
+        },
         tts: {
             playbackMode: process.env.TTS_PLAYBACK_MODE || 'stream', // 'stream' or 'full'
+            textFormat: process.env.TTS_TEXT_FORMAT || 'auto', // 'auto', 'text' or 'ssml'
+            fallbackPromptFile: process.env.TTS_FALLBACK_PROMPT_FILE || '', // Played when synthesis fails
+            cache: {
+                enabled: (process.env.TTS_CACHE_ENABLED || 'false').toLowerCase() === 'true',
+                directory: process.env.TTS_CACHE_DIR || './tts-cache',
+                maxSizeMb: parseInt(process.env.TTS_CACHE_MAX_SIZE_MB, 10) || 500,
+                ttlHours: parseInt(process.env.TTS_CACHE_TTL_HOURS, 10) || 720,
+                prewarmFile: process.env.TTS_CACHE_PREWARM_FILE || '',
+            },
         },
         timeouts: {
             session: parseInt(process.env.ARI_SESSION_TIMEOUT_MS, 10) || 60000,
             noInput: parseInt(process.env.NO_INPUT_TIMEOUT_MS, 10) || 10000,
+            action: process.env.TIMEOUT_ACTION || 'continue', // 'continue' (return to dialplan) or 'hangup'
+        },
+        shutdown: {
+            drainTimeout: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS, 10) || 10000,
+        },
+        retry: {
+            maxAttempts: parseInt(process.env.MAX_ATTEMPTS, 10) || 1,
+            noMatch: {
+                promptText: process.env.NO_MATCH_PROMPT || '',
+                promptFile: process.env.NO_MATCH_PROMPT_FILE || '',
+            },
+            noInput: {
+                promptText: process.env.NO_INPUT_PROMPT || '',
+                promptFile: process.env.NO_INPUT_PROMPT_FILE || '',
+            },
+        },
+        // Needs AZURE_STT_OUTPUT_FORMAT=detailed, which carries the N-best list.
+        confidence: {
+            minimum: parseFloat(process.env.STT_MIN_CONFIDENCE) || 0, // Below it a result is a no-match; 0 disables
+            maxAlternatives: parseInt(process.env.STT_MAX_ALTERNATIVES, 10) || 3,
+            confirmPrompt: process.env.STT_CONFIRM_PROMPT || '', // Asks the caller to confirm instead of rejecting
+        },
+        validation: {
+            type: process.env.VALIDATION_TYPE || '', // '', 'digits', 'yesno', 'date', 'currency', 'regex' or 'list'
+            minLength: parseInt(process.env.VALIDATION_MIN_LENGTH, 10) || 0,
+            maxLength: parseInt(process.env.VALIDATION_MAX_LENGTH, 10) || 0,
+            pattern: process.env.VALIDATION_PATTERN || '',
+            listFile: process.env.VALIDATION_LIST_FILE || '',
+            fuzzyThreshold: parseFloat(process.env.VALIDATION_FUZZY_THRESHOLD) || 0.75,
         },
         dtmf: {
             enabled: (process.env.ENABLE_DTMF || 'true').toLowerCase() === 'true',
-            completionTimeout: parseInt(process.env.DTMF_COMPLETION_TIMEOUT_MS, 10) || 2000,
+            completionTimeout: parseInt(process.env.DTMF_COMPLETION_TIMEOUT_MS, 10) || 2000, // Inter-digit timeout
+            firstDigitTimeout: parseInt(process.env.DTMF_FIRST_DIGIT_TIMEOUT_MS, 10) || 0,
+            maxDigits: parseInt(process.env.DTMF_MAX_DIGITS, 10) || 0,
+            terminatorKeys: process.env.DTMF_TERMINATOR_KEYS || '', // Empty: every key is a collected digit
+            clearKey: process.env.DTMF_CLEAR_KEY || '',
+            only: (process.env.DTMF_ONLY || 'false').toLowerCase() === 'true', // Do not arm voice detection
+        },
+        // Dictation (voicemail) mode: recognition stays open across pauses until one of these ends it.
+        dictation: {
+            enabled: (process.env.DICTATION_MODE || 'false').toLowerCase() === 'true',
+            maxDuration: parseInt(process.env.DICTATION_MAX_DURATION_MS, 10) || 120000, // From the start of speech
+            silenceTimeout: parseInt(process.env.DICTATION_SILENCE_TIMEOUT_MS, 10) || 5000, // After the caller stops talking
+            terminatorKeys: process.env.DICTATION_TERMINATOR_KEYS !== undefined ? process.env.DICTATION_TERMINATOR_KEYS : '#',
+        },
+        dialog: {
+            webhookUrl: process.env.DIALOG_WEBHOOK_URL || '', // Enables the multi-turn dialog mode, see dialog-client.js
+            token: process.env.DIALOG_WEBHOOK_TOKEN || '', // Sent as 'Authorization: Bearer <token>' if set
+            timeout: parseInt(process.env.DIALOG_WEBHOOK_TIMEOUT_MS, 10) || 5000,
+            maxTurns: parseInt(process.env.DIALOG_MAX_TURNS, 10) || 20,
         }
     },
     rtpServer: {
@@ -64,6 +177,21 @@ const config = {
     },
     logging: {
         level: process.env.LOG_LEVEL || 'info',
+        format: process.env.LOG_FORMAT || 'text', // 'text' or 'json' (one object per line)
+        sinks: (process.env.LOG_SINKS || 'stdout').split(',').map(s => s.trim()).filter(Boolean), // 'stdout', 'file'
+        file: {
+            path: process.env.LOG_FILE_PATH || 'logs/app.log',
+            maxSizeMb: parseInt(process.env.LOG_FILE_MAX_SIZE_MB, 10) || 50,
+            maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES, 10) || 5,
+        },
+        captureCall: (process.env.LOG_CAPTURE_CALL || 'false').toLowerCase() === 'true', // Save each call's log with its recordings
+    },
+    admin: {
+        enabled: (process.env.ADMIN_API_ENABLED || 'false').toLowerCase() === 'true',
+        host: process.env.ADMIN_API_HOST || '127.0.0.1',
+        port: parseInt(process.env.ADMIN_API_PORT, 10) || 8090,
+        token: process.env.ADMIN_API_TOKEN || '', // If set, required as 'Authorization: Bearer <token>'
+        metricsEnabled: (process.env.METRICS_ENABLED || 'true').toLowerCase() === 'true', // Serve /metrics
     },
     database: {
         dialect: process.env.DB_DIALECT || 'sqlite',
@@ -73,11 +201,13 @@ const config = {
         username: process.env.DB_USER,
         password: process.env.DB_PASSWORD,
         database: process.env.DB_DATABASE,
+        // Alter existing tables on startup to add new columns.
+        syncAlter: (process.env.DB_SYNC_ALTER || 'false').toLowerCase() === 'true',
     }
 };
 
 // Validar configuración esencial
-if (!config.azure.subscriptionKey || !config.azure.region) {
+if (config.speech.provider === 'azure' && (!config.azure.subscriptionKey || !config.azure.region)) {
     console.error("Azure subscription key or region is not configured. Please set AZURE_SPEECH_SUBSCRIPTION_KEY and AZURE_SPEECH_REGION in your .env file or environment variables.");
     process.exit(1);
 }
@@ -41,7 +41,35 @@ Object.keys(db).forEach(modelName => {
   }
 });
 
+/**
+ * Adds the model columns that are missing from existing tables, e.g. a table
+ * created by an older version, so that inserts keep working after an upgrade.
+ * Columns are only added; changing or dropping them needs DB_SYNC_ALTER.
+ * @returns {Promise<string[]>} The columns added, as 'table.column'.
+ */
+async function addMissingColumns() {
+    const queryInterface = sequelize.getQueryInterface();
+    const added = [];
+    for (const model of Object.values(sequelize.models)) {
+        const tableName = model.getTableName();
+        const columns = await queryInterface.describeTable(tableName);
+        for (const attribute of Object.values(model.rawAttributes)) {
+            const columnName = attribute.field;
+            if (columns[columnName]) continue;
+            await queryInterface.addColumn(tableName, columnName, {
+                type: attribute.type,
+                allowNull: attribute.allowNull !== false,
+                comment: attribute.comment,
+            });
+            logger.warn(`Added missing column ${columnName} to table ${tableName}.`);
+            added.push(`${tableName}.${columnName}`);
+        }
+    }
+    return added;
+}
+
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
+db.addMissingColumns = addMissingColumns;
 
 module.exports = db;
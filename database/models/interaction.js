@@ -37,13 +37,68 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'The transcribed text from user speech.'
     },
+    confidence: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        comment: 'Confidence of the transcript (0 to 1), with AZURE_STT_OUTPUT_FORMAT=detailed.'
+    },
+    detectedLanguage: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'The spoken language identified among AZURE_STT_CANDIDATE_LANGUAGES (e.g. en-US).'
+    },
+    translations: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'JSON object with the translation of the transcript to each AZURE_STT_TRANSLATION_LANGUAGES, e.g. {"es": "..."}.'
+    },
+    segments: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Dictation mode: JSON array of the recognized phrases with their times, [{"text", "startMs", "endMs"}].'
+    },
+    dictationEndReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Dictation mode: what ended the recording, MAX_DURATION, SILENCE or TERMINATOR.'
+    },
     dtmfResult: {
         type: DataTypes.STRING,
         allowNull: true,
         comment: 'The DTMF digits entered by the user.'
+    },
+    dtmfTerminationReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Why DTMF collection ended: TERMINATOR, MAX_DIGITS or TIMEOUT.'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'The number of prompt attempts made before the result.'
+    },
+    normalizedResult: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'The input normalized by the validation layer (digits, yes/no, date...).'
+    },
+    validationStatus: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'The validation outcome: VALID, INVALID or ERROR.'
+    },
+    turn: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'The turn number in dialog mode (1 otherwise).'
+    },
+    errorCode: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Error code when recognitionMode is ERROR (e.g. CONNECTION_FAILURE, CIRCUIT_OPEN).'
     }
   }, {
-    comment: 'Stores each interaction (a single Stasis app execution) within a call.'
+    comment: 'Stores each interaction (a single Stasis app execution, or a turn in dialog mode) within a call.'
   });
 
   return Interaction;
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Client of the dialog webhook used in multi-turn mode (DIALOG_WEBHOOK_URL).
+ *
+ * After each turn the app POSTs the caller's input and the call context, and
+ * the webhook answers with the actions to carry out next:
+ *
+ *  { "actions": [
+ *      { "type": "set", "variables": { "CUSTOMER_ID": "42" } },
+ *      { "type": "speak", "text": "¿En qué más puedo ayudarle?" },
+ *      { "type": "listen" }
+ *  ] }
+ *
+ * Action types:
+ *  - speak    { text } or { ssml }: Synthesize a prompt.
+ *  - play     { file }: Play a sound file.
+ *  - playlist { segments }: Play a list of segments, see playlist.js.
+ *  - listen   Wait for the caller's answer, which starts the next turn.
+ *  - set      { variables }: Set channel variables, also sent back in later requests.
+ *  - transfer { context, extension, priority }: Continue in the dialplan at another place.
+ *  - hangup   Hang up the call.
+ *  - continue Return to the dialplan at the next priority.
+ */
+
+const { validateSegments } = require('./playlist');
+
+const ACTION_TYPES = ['speak', 'play', 'playlist', 'listen', 'set', 'transfer', 'hangup', 'continue'];
+
+class DialogError extends Error {}
+
+/**
+ * Checks the webhook response and returns its actions.
+ * A single action object is accepted as well as `{ actions: [...] }`.
+ * @param {object} body - The parsed response body.
+ * @returns {object[]} The actions.
+ */
+function parseActions(body) {
+    const actions = body && Array.isArray(body.actions) ? body.actions : [body];
+    for (const action of actions) {
+        if (!action || !ACTION_TYPES.includes(action.type)) {
+            throw new DialogError(`Unknown dialog action ${JSON.stringify(action)}. Expected one of ${ACTION_TYPES.join(', ')}.`);
+        }
+        if (action.type === 'speak' && !action.text && !action.ssml) {
+            throw new DialogError('A speak action needs text or ssml.');
+        }
+        if (action.type === 'play' && !action.file) {
+            throw new DialogError('A play action needs a file.');
+        }
+        if (action.type === 'playlist') {
+            try {
+                action.segments = validateSegments(action.segments);
+            } catch (err) {
+                throw new DialogError(`Invalid playlist action: ${err.message}`);
+            }
+        }
+        if (action.type === 'set' && (!action.variables || typeof action.variables !== 'object')) {
+            throw new DialogError('A set action needs a variables object.');
+        }
+        if (action.type === 'transfer' && !action.extension) {
+            throw new DialogError('A transfer action needs an extension.');
+        }
+    }
+    return actions;
+}
+
+/**
+ * Sends the result of a turn to the webhook.
+ * @param {object} dialogConfig - The `app.dialog` configuration.
+ * @param {object} request - The request body, see App.buildDialogRequest().
+ * @param {object} logger - The logger instance for the call.
+ * @returns {Promise<object[]>} The actions to carry out.
+ * @throws {DialogError} If the webhook fails, times out or answers with invalid actions.
+ */
+async function requestNextActions(dialogConfig, request, logger) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (dialogConfig.token) {
+        headers.Authorization = `Bearer ${dialogConfig.token}`;
+    }
+    logger.debug({ dialogRequest: request }, 'Sending turn to the dialog webhook');
+
+    let response;
+    try {
+        response = await fetch(dialogConfig.webhookUrl, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(request),
+            signal: AbortSignal.timeout(dialogConfig.timeout),
+        });
+    } catch (err) {
+        throw new DialogError(`Dialog webhook request failed: ${err.message}`);
+    }
+    if (!response.ok) {
+        throw new DialogError(`Dialog webhook answered with HTTP ${response.status}.`);
+    }
+
+    let body;
+    try {
+        body = await response.json();
+    } catch (err) {
+        throw new DialogError('Dialog webhook response is not valid JSON.');
+    }
+    logger.debug({ dialogResponse: body }, 'Received actions from the dialog webhook');
+    return parseActions(body);
+}
+
+module.exports = {
+    ACTION_TYPES,
+    DialogError,
+    parseActions,
+    requestNextActions,
+};
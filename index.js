@@ -2,17 +2,24 @@
 
 // Carga la configuración primero para asegurar que las variables de entorno
 // estén disponibles para todos los módulos.
-require('./config');
+const config = require('./config');
 const createLogger = require('./logger');
 const App = require('./ari-client');
+const AdminServer = require('./admin-server');
 const db = require('./database');
 
 const logger = createLogger(); // Create a global logger instance
 const app = new App();
+const adminServer = config.admin.enabled ? new AdminServer(app, config.admin, logger) : null;
 
-db.sequelize.sync({ force: false }) // Use { force: true } to drop and re-create tables on startup
-    .then(() => {
+db.sequelize.sync({ force: false, alter: config.database.syncAlter }) // Use { force: true } to drop and re-create tables on startup
+    // sync() creates missing tables but leaves existing ones as they are.
+    .then(() => (config.database.syncAlter ? null : db.addMissingColumns()))
+    .then(async () => {
         logger.info('Database synchronized.');
+        if (adminServer) {
+            await adminServer.start();
+        }
         return app.start();
     })
     .catch(err => {
@@ -20,10 +27,37 @@ db.sequelize.sync({ force: false }) // Use { force: true } to drop and re-create
         process.exit(1);
     });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    logger.info("Caught interrupt signal, shutting down...");
-    // Aquí podrías agregar lógica de limpieza si es necesario,
-    // aunque el manejo de la llamada ya limpia sus propios recursos.
-    process.exit(0);
-});
+// Graceful shutdown: drena las llamadas activas, guarda las interacciones
+// pendientes y cierra la base de datos antes de salir.
+let isShuttingDown = false;
+const shutdown = async (signal) => {
+    if (isShuttingDown) {
+        logger.warn(`Caught ${signal} again, exiting immediately.`);
+        process.exit(1);
+    }
+    isShuttingDown = true;
+    logger.info(`Caught ${signal}, shutting down...`);
+
+    // Salida forzada si el drenaje se queda bloqueado (p. ej. Asterisk no responde).
+    setTimeout(() => {
+        logger.error('Shutdown did not complete in time, exiting.');
+        process.exit(1);
+    }, config.app.shutdown.drainTimeout + 5000).unref();
+
+    try {
+        await app.shutdown();
+        if (adminServer) {
+            await adminServer.close();
+        }
+        await db.sequelize.close();
+        logger.info('Database connection closed.');
+        await createLogger.closeSinks();
+        process.exit(0);
+    } catch (err) {
+        logger.error('Error during shutdown:', err);
+        process.exit(1);
+    }
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,363 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Validates and normalizes the caller's input (a voice transcript or DTMF digits)
+ * against a built-in grammar type:
+ *  - digits:   a digit string with length bounds ("uno siete cero" -> "170").
+ *  - yesno:    an affirmative or negative answer -> "yes" / "no".
+ *  - date:     a calendar date -> "YYYY-MM-DD".
+ *  - currency: an amount of money -> "25.50".
+ *  - regex:    the input must match a regular expression.
+ *  - list:     fuzzy match against a phrase list file -> the canonical entry.
+ */
+
+const NUMBER_WORDS = {
+    // Spanish
+    cero: 0, un: 1, uno: 1, una: 1, primero: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5,
+    seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12, trece: 13,
+    catorce: 14, quince: 15, dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+    veinte: 20, veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22, veintitres: 23,
+    veinticuatro: 24, veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28,
+    veintinueve: 29, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70,
+    ochenta: 80, noventa: 90, cien: 100, ciento: 100, doscientos: 200, doscientas: 200,
+    trescientos: 300, trescientas: 300, cuatrocientos: 400, cuatrocientas: 400,
+    quinientos: 500, quinientas: 500, seiscientos: 600, seiscientas: 600,
+    setecientos: 700, setecientas: 700, ochocientos: 800, ochocientas: 800,
+    novecientos: 900, novecientas: 900, mil: 1000, millon: 1000000, millones: 1000000,
+    // English
+    zero: 0, oh: 0, one: 1, first: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+    fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80,
+    ninety: 90, hundred: 100, thousand: 1000, million: 1000000,
+};
+const NUMBER_CONNECTORS = ['y', 'and'];
+
+const YES_NO_WORDS = {
+    es: {
+        yes: ['si', 'claro', 'correcto', 'afirmativo', 'exacto', 'efectivamente', 'vale', 'ok', 'okay', 'dale', 'bueno'],
+        no: ['no', 'negativo', 'incorrecto', 'tampoco', 'nunca'],
+    },
+    en: {
+        yes: ['yes', 'yeah', 'yep', 'yup', 'sure', 'correct', 'right', 'affirmative', 'ok', 'okay'],
+        no: ['no', 'nope', 'nah', 'negative', 'incorrect', 'wrong'],
+    },
+};
+
+const MONTHS = {
+    enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+    septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+    january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7, august: 8,
+    september: 9, october: 10, november: 11, december: 12,
+};
+
+const CENTS_WORDS = ['centavo', 'centavos', 'centimo', 'centimos', 'cent', 'cents'];
+
+// Phrase list files are read once per path.
+const listCache = new Map();
+
+/**
+ * Lowercases and strips accents and punctuation.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function tokenize(text) {
+    const normalized = normalizeText(text.replace(/(\d)(st|nd|rd|th)\b/gi, '$1'));
+    return normalized ? normalized.split(' ') : [];
+}
+
+function getNumberKind(value) {
+    if (value >= 1000) return 'multiplier';
+    if (value >= 100) return 'hundred';
+    if (value >= 20 && value % 10 === 0) return 'tens';
+    if (value >= 10) return 'teen';
+    return 'unit';
+}
+
+function canExtend(group, word, value) {
+    const kind = getNumberKind(value);
+    if (kind === 'multiplier') return true;
+    if (word === 'hundred') return group.current > 0 && group.current < 10;
+    if (kind === 'unit') return ['tens', 'hundred', 'multiplier'].includes(group.lastKind);
+    if (kind === 'teen' || kind === 'tens') return ['hundred', 'multiplier'].includes(group.lastKind);
+    return group.lastKind === 'multiplier'; // 'hundred'
+}
+
+/**
+ * Groups the number words and numerals of a text into numbers, so that
+ * "treinta y cinco" is 35 but "uno siete cero" is three numbers (1, 7, 0).
+ * @param {string} text
+ * @returns {Array<{value: number, text: string, index: number}>} The numbers found;
+ *   `text` keeps leading zeros of numerals and `index` is the position of the first token.
+ */
+function extractNumbers(text) {
+    const tokens = tokenize(text);
+    const numbers = [];
+    let group = null;
+
+    const closeGroup = () => {
+        if (group) {
+            const value = group.total + group.current;
+            numbers.push({ value, text: String(value), index: group.index });
+            group = null;
+        }
+    };
+
+    tokens.forEach((token, index) => {
+        if (/^\d+$/.test(token)) {
+            closeGroup();
+            numbers.push({ value: parseInt(token, 10), text: token, index });
+            return;
+        }
+        if (NUMBER_CONNECTORS.includes(token) && group && NUMBER_WORDS[tokens[index + 1]] !== undefined) {
+            return;
+        }
+        const value = NUMBER_WORDS[token];
+        if (value === undefined) {
+            closeGroup();
+            return;
+        }
+        if (group && value === 0) {
+            closeGroup();
+        }
+        if (!group || !canExtend(group, token, value)) {
+            closeGroup();
+            group = { total: 0, current: 0, lastKind: null, index };
+        }
+
+        if (token === 'hundred') {
+            group.current *= 100;
+        } else if (value >= 1000) {
+            group.total = (group.total + (group.current || 1)) * value;
+            group.current = 0;
+        } else {
+            group.current += value;
+        }
+        group.lastKind = getNumberKind(value);
+        if (value === 0) {
+            closeGroup();
+        }
+    });
+    closeGroup();
+    return numbers;
+}
+
+function validateDigits(input, options) {
+    const digits = options.inputMode === 'dtmf'
+        ? input.replace(/[^0-9]/g, '')
+        : extractNumbers(input).map(n => n.text).join('');
+    const minLength = options.minLength || 1;
+    const maxLength = options.maxLength || Infinity;
+    const valid = digits.length >= minLength && digits.length <= maxLength;
+    return { valid, normalized: digits };
+}
+
+function validateYesNo(input, options) {
+    if (options.inputMode === 'dtmf') {
+        const answer = { 1: 'yes', 2: 'no' }[input];
+        return { valid: Boolean(answer), normalized: answer || '' };
+    }
+    const language = (options.language || 'es').slice(0, 2).toLowerCase();
+    const words = YES_NO_WORDS[language] || YES_NO_WORDS.es;
+    for (const token of tokenize(input)) {
+        if (words.yes.includes(token)) return { valid: true, normalized: 'yes' };
+        if (words.no.includes(token)) return { valid: true, normalized: 'no' };
+    }
+    return { valid: false, normalized: '' };
+}
+
+function formatDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function expandYear(year) {
+    if (year >= 100) return year;
+    return year < 50 ? 2000 + year : 1900 + year;
+}
+
+function validateDate(input, options) {
+    let result = null;
+
+    if (options.inputMode === 'dtmf') {
+        // DDMMYYYY or DDMMYY
+        const match = /^(\d{2})(\d{2})(\d{2}|\d{4})$/.exec(input);
+        if (match) {
+            result = formatDate(expandYear(parseInt(match[3], 10)), parseInt(match[2], 10), parseInt(match[1], 10));
+        }
+        return { valid: Boolean(result), normalized: result || '' };
+    }
+
+    const iso = /(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(input);
+    const numeric = /(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/.exec(input);
+    if (iso) {
+        result = formatDate(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+    } else if (numeric) {
+        result = formatDate(expandYear(parseInt(numeric[3], 10)), parseInt(numeric[2], 10), parseInt(numeric[1], 10));
+    } else {
+        // "15 de marzo de 2024", "quince de marzo", "March 15 2024"
+        const tokens = tokenize(input);
+        const monthIndex = tokens.findIndex(t => MONTHS[t] !== undefined);
+        if (monthIndex !== -1) {
+            const month = MONTHS[tokens[monthIndex]];
+            const numbers = extractNumbers(input);
+            const day = numbers.find(n => n.value >= 1 && n.value <= 31 && n.value < 1000);
+            const year = numbers.find(n => n !== day && n.index > monthIndex);
+            const currentYear = new Date().getFullYear();
+            if (day) {
+                result = formatDate(year ? expandYear(year.value) : currentYear, month, day.value);
+            }
+        }
+    }
+    return { valid: Boolean(result), normalized: result || '' };
+}
+
+function validateCurrency(input, options) {
+    let amount = null;
+
+    if (options.inputMode === 'dtmf') {
+        // '*' acts as the decimal separator.
+        const match = /^(\d+)(?:\*(\d{1,2}))?$/.exec(input);
+        if (match) {
+            amount = parseInt(match[1], 10) + (match[2] ? parseInt(match[2].padEnd(2, '0'), 10) / 100 : 0);
+        }
+    } else {
+        const decimal = /(\d+)[.,](\d{2})(?!\d)/.exec(input.replace(/(\d)[.,](\d{3})(?!\d)/g, '$1$2'));
+        if (decimal) {
+            amount = parseInt(decimal[1], 10) + parseInt(decimal[2], 10) / 100;
+        } else {
+            const numbers = extractNumbers(input);
+            if (numbers.length > 0) {
+                amount = numbers[0].value;
+                const tokens = tokenize(input);
+                const cents = numbers[1];
+                if (cents && cents.value < 100 && tokens.slice(cents.index).some(t => CENTS_WORDS.includes(t))) {
+                    amount += cents.value / 100;
+                }
+            }
+        }
+    }
+    return { valid: amount !== null, normalized: amount !== null ? amount.toFixed(2) : '' };
+}
+
+function validateRegex(input, options) {
+    if (!options.pattern) {
+        throw new Error('Validation type "regex" requires a pattern.');
+    }
+    const match = new RegExp(options.pattern, 'i').exec(input.trim());
+    if (!match) return { valid: false, normalized: '' };
+    return { valid: true, normalized: match[1] !== undefined ? match[1] : match[0] };
+}
+
+function loadList(filePath) {
+    if (!listCache.has(filePath)) {
+        const entries = fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .map(p => p.trim())
+            .filter(p => p.length > 0);
+        listCache.set(filePath, entries);
+    }
+    return listCache.get(filePath);
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = temp;
+        }
+    }
+    return previous[b.length];
+}
+
+function similarity(a, b) {
+    const maxLength = Math.max(a.length, b.length);
+    return maxLength === 0 ? 1 : 1 - levenshtein(a, b) / maxLength;
+}
+
+function validateList(input, options) {
+    if (!options.listFile) {
+        throw new Error('Validation type "list" requires a list file.');
+    }
+    const entries = loadList(options.listFile);
+
+    if (options.inputMode === 'dtmf') {
+        // DTMF selects an entry by its 1-based position in the list.
+        const entry = entries[parseInt(input, 10) - 1];
+        return { valid: Boolean(entry), normalized: entry || '' };
+    }
+
+    // Compare each entry with every window of the transcript that has the same number of words,
+    // so "quiero ir a guayaquil" matches "Guayaquil".
+    const tokens = tokenize(input);
+    let best = { score: 0, entry: '' };
+    for (const entry of entries) {
+        const normalizedEntry = normalizeText(entry);
+        const wordCount = normalizedEntry.split(' ').length;
+        for (let i = 0; i + wordCount <= Math.max(tokens.length, wordCount); i++) {
+            const score = similarity(tokens.slice(i, i + wordCount).join(' '), normalizedEntry);
+            if (score > best.score) {
+                best = { score, entry };
+            }
+        }
+    }
+    const valid = best.score >= (options.fuzzyThreshold || 0.75);
+    return { valid, normalized: valid ? best.entry : '' };
+}
+
+const VALIDATORS = {
+    digits: validateDigits,
+    yesno: validateYesNo,
+    date: validateDate,
+    currency: validateCurrency,
+    regex: validateRegex,
+    list: validateList,
+};
+
+/**
+ * Validates the caller's input.
+ * @param {string} input - The transcript or DTMF digits.
+ * @param {object} options - The `app.validation` configuration plus the call context.
+ * @param {string} options.type - One of the built-in types.
+ * @param {string} options.inputMode - 'voice' or 'dtmf'.
+ * @param {string} [options.language] - The STT language, used by 'yesno'.
+ * @returns {{status: string, normalized: string}} `status` is 'VALID' or 'INVALID'.
+ * @throws {Error} If the type is unknown or misconfigured.
+ */
+function validateInput(input, options) {
+    const validator = VALIDATORS[options.type];
+    if (!validator) {
+        throw new Error(`Unknown validation type '${options.type}'. Available types: ${Object.keys(VALIDATORS).join(', ')}`);
+    }
+    const { valid, normalized } = validator(input || '', options);
+    return { status: valid ? 'VALID' : 'INVALID', normalized };
+}
+
+module.exports = {
+    validateInput,
+    extractNumbers,
+    normalizeText,
+};
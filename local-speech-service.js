@@ -0,0 +1,139 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { SpeechProvider } = require('./speech-provider');
+const { getTtsSampleRate } = require('./audio-converter');
+const { stripSsml } = require('./ssml');
+const createLogger = require('./logger');
+
+const TTS_MS_PER_CHARACTER = 60;
+const TTS_MAX_DURATION_MS = 10000;
+const TTS_CHUNK_MS = 200;
+
+/**
+ * Offline stand-in for AzureService. It needs no network access, which makes it
+ * possible to exercise the whole call flow in labs and CI.
+ *  - TTS produces a sine tone whose length is proportional to the text.
+ *  - STT answers with a canned transcript looked up by a fingerprint (SHA-1)
+ *    of the received audio, falling back to a default transcript.
+ */
+class LocalSpeechService extends SpeechProvider {
+    constructor(config, logger) {
+        super(config, logger || createLogger());
+        this.transcripts = this.loadTranscripts(config.speech.local.transcriptsFile);
+        this.sttPushStream = null;
+        this.sttAudioChunks = null;
+    }
+
+    /**
+     * Loads the fingerprint -> transcript map from a JSON file.
+     * @param {string} filePath - Path to the JSON file. May be empty.
+     * @returns {object}
+     */
+    loadTranscripts(filePath) {
+        if (!filePath) return {};
+        try {
+            const transcripts = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            this.logger.info(`Loaded ${Object.keys(transcripts).length} canned transcripts from ${filePath}`);
+            return transcripts;
+        } catch (err) {
+            this.logger.error(`Error loading local transcripts file '${filePath}':`, err);
+            return {};
+        }
+    }
+
+    /**
+     * Generates a tone as a stand-in for synthesized speech.
+     * @param {string} text - The text to "synthesize".
+     * @param {object} [options]
+     * @param {boolean} [options.ssml=false] - Whether `text` is SSML; only its text sets the tone length.
+     * @returns {Promise<PassThrough>} A stream of 16-bit mono PCM at the rate of the configured TTS output format.
+     */
+    synthesizeText(text, { ssml = false } = {}) {
+        if (ssml) {
+            text = stripSsml(text);
+        }
+        const audioStream = new PassThrough();
+        const sampleRate = getTtsSampleRate(this.config.azure.tts.outputFormat);
+        const frequency = this.config.speech.local.ttsToneFrequency;
+        const durationMs = Math.min(Math.max(text.length, 1) * TTS_MS_PER_CHARACTER, TTS_MAX_DURATION_MS);
+        const totalSamples = Math.floor(sampleRate * durationMs / 1000);
+        const samplesPerChunk = sampleRate * TTS_CHUNK_MS / 1000;
+        this.logger.info(`Local TTS generating ${durationMs} ms tone at ${frequency} Hz for: "${text}"`);
+
+        let offset = 0;
+        const pushChunk = () => {
+            if (offset >= totalSamples) {
+                this.logger.info('Local TTS synthesis completed.');
+                audioStream.push(null);
+                return;
+            }
+            const samples = Math.min(samplesPerChunk, totalSamples - offset);
+            const chunk = Buffer.alloc(samples * 2);
+            for (let i = 0; i < samples; i++) {
+                const t = (offset + i) / sampleRate;
+                chunk.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * t) * 8000), i * 2);
+            }
+            offset += samples;
+            audioStream.push(chunk);
+            setImmediate(pushChunk);
+        };
+        setImmediate(pushChunk);
+
+        return Promise.resolve(audioStream);
+    }
+
+    /**
+     * Starts a recognition session. Audio pushed to the stream is only
+     * accumulated; the transcript is resolved when the session stops.
+     */
+    startContinuousRecognition() {
+        const audioChunks = [];
+        this.sttAudioChunks = audioChunks;
+        this.sttPushStream = {
+            write: (buffer) => {
+                audioChunks.push(Buffer.from(buffer));
+            },
+            close: () => {},
+        };
+
+        setImmediate(() => {
+            this.logger.info('Local STT recognition started.');
+            this.emit('audioStreamReady', this.sttPushStream);
+        });
+    }
+
+    /**
+     * Stops the recognition session and emits the canned transcript.
+     */
+    stopContinuousRecognition() {
+        if (!this.sttAudioChunks) return;
+
+        const audio = Buffer.concat(this.sttAudioChunks);
+        this.sttAudioChunks = null;
+        this.sttPushStream = null;
+
+        const fingerprint = crypto.createHash('sha1').update(audio).digest('hex');
+        let finalText = this.transcripts[fingerprint];
+        if (finalText === undefined) {
+            finalText = this.transcripts.default !== undefined
+                ? this.transcripts.default
+                : this.config.speech.local.defaultTranscript;
+        }
+        this.logger.info(`Local STT received ${audio.length} bytes (fingerprint ${fingerprint}). Transcript: "${finalText}"`);
+
+        setImmediate(() => {
+            this.emit('recognizing', { text: finalText });
+            this.emit('recognitionEnded', {
+                finalText,
+                detailed: finalText ? [{ RecognitionStatus: 'Success', DisplayText: finalText, Fingerprint: fingerprint }] : [],
+                language: null,
+                translations: null,
+            });
+        });
+    }
+}
+
+module.exports = LocalSpeechService;
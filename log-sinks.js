@@ -0,0 +1,97 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Log sinks receive every entry that passes the level filter. A sink is any
+ * object with a `write(entry, line)` method, where `entry` is the structured
+ * entry (see logger.js) and `line` its formatted single-line text, and an
+ * optional `close()` method.
+ */
+
+/**
+ * Writes to stdout, and errors to stderr.
+ */
+class StdoutSink {
+    write(entry, line) {
+        if (entry.level === 'error') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+/**
+ * Appends to a file and rotates it when it grows over `maxSizeBytes`:
+ * app.log -> app.log.1 -> app.log.2 ... keeping at most `maxFiles` old files.
+ */
+class RotatingFileSink {
+    /**
+     * @param {object} fileConfig - The `logging.file` configuration.
+     * @param {string} fileConfig.path - The path of the log file.
+     * @param {number} fileConfig.maxSizeMb - Size at which the file is rotated.
+     * @param {number} fileConfig.maxFiles - Number of rotated files to keep.
+     */
+    constructor(fileConfig) {
+        this.filePath = path.resolve(fileConfig.path);
+        this.maxSizeBytes = fileConfig.maxSizeMb * 1024 * 1024;
+        this.maxFiles = fileConfig.maxFiles;
+        this.stream = null;
+        this.size = 0;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.open();
+    }
+
+    open() {
+        try {
+            this.size = fs.statSync(this.filePath).size;
+        } catch (err) {
+            this.size = 0;
+        }
+        // Opened synchronously so the file exists before a rotation can rename it.
+        const fd = fs.openSync(this.filePath, 'a');
+        this.stream = fs.createWriteStream(null, { fd });
+        this.stream.on('error', err => console.error(`Failed to write log file ${this.filePath}:`, err));
+    }
+
+    rotate() {
+        this.stream.end();
+        try {
+            fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+            for (let i = this.maxFiles - 1; i >= 1; i--) {
+                if (fs.existsSync(`${this.filePath}.${i}`)) {
+                    fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+                }
+            }
+            if (this.maxFiles > 0) {
+                fs.renameSync(this.filePath, `${this.filePath}.1`);
+            } else {
+                fs.rmSync(this.filePath, { force: true });
+            }
+        } catch (err) {
+            console.error(`Failed to rotate log file ${this.filePath}:`, err);
+        }
+        this.open();
+    }
+
+    write(entry, line) {
+        const data = `${line}\n`;
+        if (this.maxSizeBytes > 0 && this.size > 0 && this.size + Buffer.byteLength(data) > this.maxSizeBytes) {
+            this.rotate();
+        }
+        this.stream.write(data);
+        this.size += Buffer.byteLength(data);
+    }
+
+    close() {
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+}
+
+module.exports = {
+    StdoutSink,
+    RotatingFileSink,
+};
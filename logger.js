@@ -1,6 +1,7 @@
 'use strict';
 
 const globalConfig = require('./config');
+const { StdoutSink, RotatingFileSink } = require('./log-sinks');
 
 const LOG_LEVELS = {
     debug: 0,
@@ -9,6 +10,52 @@ const LOG_LEVELS = {
     error: 3,
 };
 
+// Values under keys like these are never written, whatever the object they appear in.
+const SECRET_KEY_PATTERN = /subscription_?key|password|token|secret|authorization/i;
+// Secrets that may also appear inside strings, e.g. in an error message or a URL.
+const SECRET_ENV_VARS = ['AZURE_SPEECH_SUBSCRIPTION_KEY', 'AZURE_SPEECH_SECONDARY_SUBSCRIPTION_KEY', 'ARI_PASSWORD', 'DB_PASSWORD', 'ADMIN_API_TOKEN'];
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+const MAX_CAPTURED_ENTRIES = 10000;
+
+let sinks = null;
+
+const getSinks = () => {
+    if (!sinks) {
+        sinks = [];
+        for (const name of globalConfig.logging.sinks) {
+            if (name === 'stdout') {
+                sinks.push(new StdoutSink());
+            } else if (name === 'file') {
+                sinks.push(new RotatingFileSink(globalConfig.logging.file));
+            } else {
+                console.error(`Unknown log sink '${name}', ignoring it.`);
+            }
+        }
+    }
+    return sinks;
+};
+
+/**
+ * Registers an additional sink, see log-sinks.js.
+ * @param {{write: function(object, string): void, close?: function(): Promise<void>}} sink
+ */
+const addSink = (sink) => {
+    getSinks().push(sink);
+};
+
+/**
+ * Flushes and closes the sinks. Called last during shutdown.
+ * @returns {Promise<void>}
+ */
+const closeSinks = async () => {
+    // Let the entries already queued with setImmediate reach the sinks first.
+    await new Promise(resolve => setImmediate(resolve));
+    if (!sinks) return;
+    await Promise.all(sinks.map(sink => (sink.close ? sink.close() : null)));
+    sinks = null;
+};
+
 const getTimestamp = () => {
     const d = new Date();
     return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')} ` +
@@ -16,54 +63,154 @@ const getTimestamp = () => {
            `.${String(d.getMilliseconds()).padStart(3, '0')}`;
 };
 
-const formatMessage = (level, context, args) => {
-    const timestamp = getTimestamp();
-    const levelStr = `[${level.toUpperCase()}]`;
-    const contextStr = context ? `[${context.uniqueId || 'N/A'}][${context.callerId || 'N/A'}]` : '';
-
-    const message = args.map(arg => {
-        if (typeof arg === 'object' && arg !== null) {
-            try {
-                return JSON.stringify(arg, (key, value) =>
-                    typeof value === 'bigint' ? value.toString() : value, 2);
-            } catch (e) {
-                return '[Unserializable Object]';
-            }
+const collectSecrets = (config) => {
+    const values = SECRET_ENV_VARS.map(name => process.env[name]);
+    if (config.azure) {
+        values.push(config.azure.subscriptionKey);
+        if (config.azure.secondary) {
+            values.push(config.azure.secondary.subscriptionKey);
         }
-        return arg;
-    }).join(' ');
+    }
+    return Array.from(new Set(values.filter(value => typeof value === 'string' && value.length >= 4)));
+};
 
-    return `${timestamp} ${levelStr} ${contextStr} ${message}`;
+const redactString = (str, secrets) => secrets.reduce((result, secret) => result.split(secret).join(REDACTED), str);
+
+/**
+ * Turns a log argument into a JSON-safe value with the secrets redacted.
+ * Errors keep their message and stack, buffers are summarized and circular
+ * references are cut.
+ */
+const toLoggable = (value, secrets, seen = new WeakSet(), depth = 0) => {
+    if (typeof value === 'string') return redactString(value, secrets);
+    if (typeof value === 'bigint') return value.toString();
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+    }
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (value instanceof Date) return value.toISOString();
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Object]';
+    seen.add(value);
+
+    let result;
+    if (Array.isArray(value)) {
+        result = value.map(item => toLoggable(item, secrets, seen, depth + 1));
+    } else {
+        const source = value instanceof Error ? { name: value.name, message: value.message, ...value, stack: value.stack } : value;
+        result = {};
+        for (const [key, item] of Object.entries(source)) {
+            result[key] = SECRET_KEY_PATTERN.test(key) && item ? REDACTED : toLoggable(item, secrets, seen, depth + 1);
+        }
+    }
+    seen.delete(value);
+    return result;
+};
+
+/**
+ * Builds the structured entry: the string arguments form the message and the
+ * objects the payload (plain objects are merged, an Error goes to `error`).
+ */
+const buildEntry = (level, context, args, secrets) => {
+    const messageParts = [];
+    let payload = null;
+    for (const arg of args) {
+        if (typeof arg !== 'object' || arg === null) {
+            messageParts.push(typeof arg === 'string' ? redactString(arg, secrets) : String(arg));
+            continue;
+        }
+        payload = payload || {};
+        const loggable = toLoggable(arg, secrets);
+        if (arg instanceof Error) {
+            payload.error = loggable;
+        } else if (Array.isArray(arg) || Buffer.isBuffer(arg)) {
+            payload.data = (payload.data || []).concat([loggable]);
+        } else {
+            Object.assign(payload, loggable);
+        }
+    }
+
+    return {
+        timestamp: new Date().toISOString(),
+        level,
+        uniqueId: context ? context.uniqueId || null : null,
+        callerId: context ? context.callerId || null : null,
+        message: messageParts.join(' '),
+        payload,
+    };
 };
 
+/**
+ * Formats an entry as a single line of text: the message, with its line
+ * breaks escaped, followed by the payload as compact JSON.
+ */
+const formatText = (entry, context) => {
+    const levelStr = `[${entry.level.toUpperCase()}]`;
+    const contextStr = context ? `[${entry.uniqueId || 'N/A'}][${entry.callerId || 'N/A'}]` : '';
+    const message = entry.message.replace(/\r?\n/g, '\\n');
 
-const log = (level, config, context, ...args) => {
+    let payloadStr = '';
+    if (entry.payload) {
+        try {
+            payloadStr = ` ${JSON.stringify(entry.payload)}`;
+        } catch (e) {
+            payloadStr = ' [Unserializable Object]';
+        }
+    }
+
+    return `${getTimestamp()} ${levelStr} ${contextStr} ${message}${payloadStr}`;
+};
+
+
+const log = (level, logger, ...args) => {
+    const { config, context, secrets, captured } = logger;
     const configuredLevelName = (config.logging.level || 'info').toLowerCase();
     const configuredLevelValue = LOG_LEVELS[configuredLevelName];
     const messageLevelValue = LOG_LEVELS[level.toLowerCase()];
 
     if (messageLevelValue >= configuredLevelValue) {
-        const formattedMessage = formatMessage(level, context, args);
+        const entry = buildEntry(level, context, args, secrets);
+        if (captured && captured.length < MAX_CAPTURED_ENTRIES) {
+            captured.push(entry);
+        }
+        const line = globalConfig.logging.format === 'json' ? JSON.stringify(entry) : formatText(entry, context);
         // Use setImmediate to make the I/O non-blocking
         setImmediate(() => {
-            if (level === 'error') {
-                console.error(formattedMessage);
-            } else {
-                console.log(formattedMessage);
+            for (const sink of getSinks()) {
+                sink.write(entry, line);
             }
         });
     }
 };
 
+/**
+ * Creates a logger.
+ * @param {object} [loggerConfig]
+ * @param {object} [loggerConfig.context] - `{ uniqueId, callerId }` of the call, if any.
+ * @param {object} [loggerConfig.config] - The configuration, which sets the level. Defaults to the global one.
+ * @param {boolean} [loggerConfig.capture] - Keep the entries in memory, see getCapturedEntries().
+ */
 const createLogger = (loggerConfig = { context: null, config: globalConfig }) => {
-    const { context = null, config = globalConfig } = loggerConfig;
+    const { context = null, config = globalConfig, capture = false } = loggerConfig;
+    const state = {
+        config,
+        context,
+        secrets: collectSecrets(config),
+        captured: capture ? [] : null,
+    };
 
     return {
-        info: (...args) => log('info', config, context, ...args),
-        warn: (...args) => log('warn', config, context, ...args),
-        error: (...args) => log('error', config, context, ...args),
-        debug: (...args) => log('debug', config, context, ...args),
+        info: (...args) => log('info', state, ...args),
+        warn: (...args) => log('warn', state, ...args),
+        error: (...args) => log('error', state, ...args),
+        debug: (...args) => log('debug', state, ...args),
+        /**
+         * @returns {object[]|null} The structured entries logged so far, or null if capture is off.
+         */
+        getCapturedEntries: () => state.captured,
     };
 };
 
 module.exports = createLogger;
+module.exports.addSink = addSink;
+module.exports.closeSinks = closeSinks;
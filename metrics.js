@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Minimal Prometheus instrumentation (text exposition format 0.0.4), so that
+ * the app can be scraped without extra dependencies. The metrics are
+ * process-wide; /metrics is served by the admin API, see admin-server.js.
+ */
+
+const METRIC_PREFIX = 'ari_stt_tts_';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = `${METRIC_PREFIX}${name}`;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // serialized labels -> { labels, ... }
+    }
+
+    getSeries(labels, create) {
+        const picked = {};
+        for (const name of this.labelNames) {
+            picked[name] = labels[name] !== undefined ? labels[name] : '';
+        }
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, create(picked));
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value += value;
+    }
+
+    renderSeries() {
+        return Array.from(this.series.values()).map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels = {}, value) {
+        this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value = value;
+    }
+
+    renderSeries() {
+        return Array.from(this.series.values()).map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.getSeries(labels, picked => ({
+            labels: picked,
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0,
+        }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries() {
+        const lines = [];
+        for (const s of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: formatValue(bound) })} ${s.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return lines;
+    }
+}
+
+const activeCalls = new Gauge('active_calls', 'Calls currently handled by the application.');
+const callsTotal = new Counter('calls_total', 'Finished calls by outcome (VOICE, DTMF, NO_INPUT, TIMEOUT, ERROR).', ['outcome']);
+const ttsFirstByteSeconds = new Histogram('tts_first_byte_seconds', 'Time from the synthesis request to the first audio chunk.', ['provider', 'cache'], [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5]);
+const promptDurationSeconds = new Histogram('prompt_duration_seconds', 'Time a prompt took to play, until it ended or was interrupted.', ['mode'], [0.5, 1, 2, 5, 10, 20, 30, 60]);
+const promptsTotal = new Counter('prompts_total', 'Prompts played.', ['mode']);
+const bargeInsTotal = new Counter('barge_ins_total', 'Prompts interrupted by the caller, by voice or DTMF.', ['type']);
+const sttLatencySeconds = new Histogram('stt_latency_seconds', 'Time from the end of speech (TalkingFinished) to the final recognition result.', ['provider'], [0.1, 0.25, 0.5, 1, 2, 3, 5, 10]);
+const azureCancellationsTotal = new Counter('azure_cancellations_total', 'Azure recognitions (stt) and syntheses (tts) canceled, by cancellation reason.', ['operation', 'reason']);
+const azureFailoversTotal = new Counter('azure_failovers_total', 'Azure syntheses (tts) and recognitions (stt) retried in the secondary region after a failure.', ['operation']);
+const azureCircuitOpen = new Gauge('azure_circuit_open', 'Whether the circuit breaker of an Azure region is open (1) or not (0).', ['region']);
+const rtpPacketsReceivedTotal = new Counter('rtp_packets_received_total', 'RTP packets received from Asterisk for recognition.');
+const rtpPacketsLostTotal = new Counter('rtp_packets_lost_total', 'RTP packets the jitter buffer skipped as lost.');
+const rtpJitterSeconds = new Histogram('rtp_jitter_seconds', 'Interarrival jitter (RFC 3550) of each call\'s inbound RTP stream when the call ended.', [], [0.001, 0.005, 0.01, 0.02, 0.04, 0.08, 0.16]);
+
+const registry = [
+    activeCalls,
+    callsTotal,
+    ttsFirstByteSeconds,
+    promptDurationSeconds,
+    promptsTotal,
+    bargeInsTotal,
+    sttLatencySeconds,
+    azureCancellationsTotal,
+    azureFailoversTotal,
+    azureCircuitOpen,
+    rtpPacketsReceivedTotal,
+    rtpPacketsLostTotal,
+    rtpJitterSeconds,
+];
+
+/**
+ * Renders every metric in the Prometheus text format.
+ * @returns {string}
+ */
+function render() {
+    return `${registry.map(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    render,
+    activeCalls,
+    callsTotal,
+    ttsFirstByteSeconds,
+    promptDurationSeconds,
+    promptsTotal,
+    bargeInsTotal,
+    sttLatencySeconds,
+    azureCancellationsTotal,
+    azureFailoversTotal,
+    azureCircuitOpen,
+    rtpPacketsReceivedTotal,
+    rtpPacketsLostTotal,
+    rtpJitterSeconds,
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Local mock of the dialog webhook, to try the multi-turn mode without a real
+ * assistant:
+ *
+ *   npm run mock:dialog
+ *   DIALOG_WEBHOOK_URL=http://127.0.0.1:8091/dialog npm start
+ *
+ * It greets the caller, repeats what it understood, transfers on "agente" (or
+ * DTMF 0) and hangs up on "adiós" (or DTMF 9) or after two no-inputs in a row.
+ * Every request is printed.
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.DIALOG_MOCK_PORT, 10) || 8091;
+
+const speakAndListen = (text) => ({ actions: [{ type: 'speak', text }, { type: 'listen' }] });
+
+function nextActions(request) {
+    if (request.event === 'start') {
+        return speakAndListen('Hola, soy el asistente de pruebas. ¿En qué puedo ayudarle?');
+    }
+
+    const { recognitionMode, transcript, dtmf } = request.input;
+    const text = (transcript || '').toLowerCase();
+    if (recognitionMode === 'NO_INPUT') {
+        // The count of no-inputs travels in the dialog variables.
+        const noInputs = (parseInt(request.variables.NO_INPUT_COUNT, 10) || 0) + 1;
+        if (noInputs >= 2) {
+            return { actions: [{ type: 'speak', text: 'No le oigo. Adiós.' }, { type: 'hangup' }] };
+        }
+        return {
+            actions: [
+                { type: 'set', variables: { NO_INPUT_COUNT: noInputs } },
+                { type: 'speak', text: 'No le he oído. ¿Puede repetir?' },
+                { type: 'listen' },
+            ],
+        };
+    }
+    if (text.includes('adiós') || text.includes('adios') || dtmf === '9') {
+        return { actions: [{ type: 'speak', text: 'Gracias por llamar. Adiós.' }, { type: 'hangup' }] };
+    }
+    if (text.includes('agente') || dtmf === '0') {
+        return {
+            actions: [
+                { type: 'set', variables: { DIALOG_REASON: 'agent' } },
+                { type: 'speak', text: 'Le paso con un agente.' },
+                { type: 'transfer', extension: 'agents' },
+            ],
+        };
+    }
+    const understood = recognitionMode === 'DTMF' ? `ha marcado ${dtmf}` : `ha dicho: ${transcript}`;
+    return {
+        actions: [
+            { type: 'set', variables: { LAST_INPUT: transcript || dtmf, NO_INPUT_COUNT: 0 } },
+            { type: 'speak', text: `Entendido, ${understood}. ¿Algo más?` },
+            { type: 'listen' },
+        ],
+    };
+}
+
+const server = http.createServer((req, res) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+        let response;
+        try {
+            const request = JSON.parse(data);
+            console.log(JSON.stringify(request));
+            response = nextActions(request);
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+    });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Mock dialog webhook listening on http://127.0.0.1:${PORT}/dialog`);
+});
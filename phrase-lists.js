@@ -0,0 +1,143 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const createLogger = require('./logger');
+
+/**
+ * Phrase lists that bias speech recognition towards expected words.
+ *
+ * A list is a text file with one phrase per line. Named lists are the files
+ * `<name>.txt` of the phrase lists directory and are combined by name:
+ *
+ *   AZURE_STT_PHRASE_LISTS=ciudades_ecuador,especialidades_medicas
+ *
+ * Phrases for a single call are given inline, separated by '|':
+ *
+ *   Set(APP_VAR_AZURE_STT_PHRASES=${CALLERID(name)}|Clínica Santa Inés)
+ *
+ * Each file is read once and kept in memory. It is then watched and reloaded
+ * when it changes, so lists can be edited without restarting the application.
+ */
+
+const globalLogger = createLogger();
+const LIST_NAME_PATTERN = /^[\w.-]+$/;
+// How often the loaded files are checked for changes.
+const WATCH_INTERVAL_MS = 2000;
+
+class PhraseListError extends Error {}
+
+// Phrases of each loaded file, by absolute path.
+const lists = new Map();
+// Read error of each file that could not be loaded, by absolute path. The file
+// is watched and the error cleared once it can be read.
+const failures = new Map();
+
+function parsePhrases(text) {
+    return text.split('\n').map(p => p.trim()).filter(p => p.length > 0);
+}
+
+function watchList(filePath) {
+    // Polling also sees files replaced by editors or deployments, which fs.watch() loses track of.
+    fs.watchFile(filePath, { interval: WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+        if (current.mtimeMs === 0) {
+            lists.set(filePath, []);
+            globalLogger.warn(`Phrase list ${filePath} was removed. It is empty until the file is created again.`);
+            return;
+        }
+        fs.promises.readFile(filePath, 'utf8')
+            .then(data => {
+                const phrases = parsePhrases(data);
+                lists.set(filePath, phrases);
+                failures.delete(filePath);
+                globalLogger.info(`Reloaded phrase list ${filePath} (${phrases.length} phrases).`);
+            })
+            .catch(err => globalLogger.error(`Could not reload phrase list ${filePath}:`, err));
+    });
+}
+
+/**
+ * Returns the phrases of a list file. The file is read on first use and
+ * reloaded whenever it changes. A file that cannot be read is not read again
+ * until it changes.
+ * @param {string} filePath
+ * @returns {string[]}
+ * @throws {PhraseListError} If the file cannot be read.
+ */
+function loadPhraseList(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (failures.has(resolvedPath)) {
+        throw new PhraseListError(failures.get(resolvedPath));
+    }
+    if (!lists.has(resolvedPath)) {
+        let data;
+        try {
+            data = fs.readFileSync(resolvedPath, 'utf8');
+        } catch (err) {
+            const message = `Could not read phrase list '${resolvedPath}': ${err.message}`;
+            failures.set(resolvedPath, message);
+            watchList(resolvedPath);
+            throw new PhraseListError(message);
+        }
+        const phrases = parsePhrases(data);
+        lists.set(resolvedPath, phrases);
+        watchList(resolvedPath);
+        globalLogger.info(`Loaded phrase list ${resolvedPath} (${phrases.length} phrases).`);
+    }
+    return lists.get(resolvedPath);
+}
+
+/**
+ * Splits a comma-separated list of names or '|'-separated phrases.
+ * @param {string} text
+ * @param {string} separator
+ * @returns {string[]}
+ */
+function splitItems(text, separator) {
+    return String(text || '').split(separator).map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Combines the phrases of a recognition: AZURE_STT_PHRASE_LIST_FILE_PATH, the
+ * named lists of AZURE_STT_PHRASE_LISTS and the inline AZURE_STT_PHRASES.
+ * A list that cannot be read is logged and left out.
+ * @param {object} sttConfig - The `azure.stt` configuration.
+ * @param {object} [logger]
+ * @returns {{phrases: string[], sources: string[]}} The phrases without duplicates, and where they came from.
+ */
+function getPhrases(sttConfig, logger = globalLogger) {
+    const phrases = new Set();
+    const sources = [];
+    const addList = (filePath, source) => {
+        try {
+            loadPhraseList(filePath).forEach(phrase => phrases.add(phrase));
+            sources.push(source);
+        } catch (err) {
+            logger.error(err.message);
+        }
+    };
+
+    if (sttConfig.phraseListFilePath) {
+        addList(sttConfig.phraseListFilePath, sttConfig.phraseListFilePath);
+    }
+    for (const name of splitItems(sttConfig.phraseLists, ',')) {
+        if (!LIST_NAME_PATTERN.test(name)) {
+            logger.error(`Invalid phrase list name '${name}'.`);
+            continue;
+        }
+        addList(path.join(sttConfig.phraseListsDir, `${name}.txt`), name);
+    }
+    const inlinePhrases = splitItems(sttConfig.phrases, '|');
+    if (inlinePhrases.length > 0) {
+        inlinePhrases.forEach(phrase => phrases.add(phrase));
+        sources.push('inline');
+    }
+    return { phrases: Array.from(phrases), sources };
+}
+
+module.exports = {
+    PhraseListError,
+    loadPhraseList,
+    getPhrases,
+};
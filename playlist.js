@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Prompt playlists: an ordered list of segments played back to back.
+ *
+ * In the dialplan (PROMPT_PLAYLIST) segments are `type:value` items joined by
+ * '&', as in Asterisk's Playback():
+ *
+ *   file:custom/jingle&tts:Bienvenido a {{COMPANY}}&silence:500&file:custom/disclaimer
+ *
+ * A value starting with '[' is read as a JSON array of segment objects, which
+ * allows '&' in the texts:
+ *
+ *   [{"type":"file","file":"custom/jingle"},{"type":"ssml","ssml":"<say-as interpret-as='date'>2026-10-19</say-as>"}]
+ *
+ * Segment types:
+ *  - file    { file }: A sound file, as in PLAYBACK_FILE_PATH.
+ *  - tts     { text }: Plain text to synthesize.
+ *  - ssml    { ssml }: An SSML document or fragment to synthesize.
+ *  - silence { duration }: A pause in milliseconds.
+ *  - digits  { digits }: Digits said one by one with Asterisk's sounds.
+ */
+
+const SEGMENT_TYPES = {
+    file: 'file',
+    tts: 'text',
+    ssml: 'ssml',
+    silence: 'duration',
+    digits: 'digits',
+};
+
+class PlaylistError extends Error {}
+
+/**
+ * Checks the segments of a playlist and normalizes their values.
+ * @param {object[]} segments
+ * @returns {object[]} The segments, with `duration` as a number and `digits` without spaces.
+ * @throws {PlaylistError} If the list is empty or a segment is invalid.
+ */
+function validateSegments(segments) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+        throw new PlaylistError('A playlist needs at least one segment.');
+    }
+    return segments.map(segment => {
+        const field = segment && SEGMENT_TYPES[segment.type];
+        if (!field) {
+            throw new PlaylistError(`Unknown playlist segment ${JSON.stringify(segment)}. Expected one of ${Object.keys(SEGMENT_TYPES).join(', ')}.`);
+        }
+        const value = segment[field];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            throw new PlaylistError(`A ${segment.type} segment needs ${field}.`);
+        }
+        if (segment.type === 'silence') {
+            const duration = Number(value);
+            if (!Number.isFinite(duration) || duration < 0) {
+                throw new PlaylistError(`Invalid silence duration '${value}'.`);
+            }
+            return { type: 'silence', duration };
+        }
+        if (segment.type === 'digits') {
+            const digits = String(value).replace(/\s/g, '');
+            if (!/^[0-9*#]+$/.test(digits)) {
+                throw new PlaylistError(`A digits segment only accepts 0-9, * and #, got '${value}'.`);
+            }
+            return { type: 'digits', digits };
+        }
+        return { type: segment.type, [field]: String(value) };
+    });
+}
+
+/**
+ * Parses a playlist from the dialplan.
+ * @param {string} spec - '&'-separated `type:value` items, or a JSON array.
+ * @returns {object[]} The segments.
+ * @throws {PlaylistError} If the playlist is invalid.
+ */
+function parsePlaylist(spec) {
+    const text = String(spec || '').trim();
+    if (text.startsWith('[')) {
+        let segments;
+        try {
+            segments = JSON.parse(text);
+        } catch (err) {
+            throw new PlaylistError(`Playlist is not valid JSON: ${err.message}`);
+        }
+        return validateSegments(segments);
+    }
+    return validateSegments(text.split('&').map(item => {
+        const separator = item.indexOf(':');
+        if (separator === -1) {
+            throw new PlaylistError(`Playlist item '${item}' has no type. Use type:value.`);
+        }
+        const type = item.slice(0, separator).trim();
+        return { type, [SEGMENT_TYPES[type] || 'value']: item.slice(separator + 1).trim() };
+    }));
+}
+
+/**
+ * Returns a short text describing a playlist, e.g. for the Interaction record.
+ * @param {object[]} segments
+ * @returns {string}
+ */
+function describePlaylist(segments) {
+    return segments.map(segment => `${segment.type}:${segment[SEGMENT_TYPES[segment.type]]}`).join(' & ');
+}
+
+module.exports = {
+    SEGMENT_TYPES,
+    PlaylistError,
+    validateSegments,
+    parsePlaylist,
+    describePlaylist,
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeXml } = require('./ssml');
+
+/**
+ * Prompt templates: `{{NAME}}` placeholders filled with channel variables.
+ *
+ *   Hola {{CALLERID(name)}}, su saldo es {{BALANCE | currency:EUR}}.
+ *
+ * A placeholder may pipe the value through formatters:
+ *  - number[:decimals]   A number in the TTS language ("1.234,5").
+ *  - currency[:CODE]     An amount of money ("25,50 €"). The code defaults to `currency` of the options.
+ *  - date[:style]        A date (YYYY-MM-DD, YYYYMMDD, ISO or epoch seconds); style short, medium, long (default) or full.
+ *  - time[:style]        The time of the same inputs; style short (default), medium, long or full.
+ *  - digits              Reads the value digit by digit ("1 7 0 4").
+ *  - default:text        Used when the variable is empty or not set.
+ *
+ * Named templates are files in a directory, `<id>.txt` for plain text or
+ * `<id>.ssml` for SSML, referenced from the dialplan by their id.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}|]+?)\s*((?:\|[^{}|]*)*)\}\}/g;
+const TEMPLATE_ID_PATTERN = /^[\w.-]+$/;
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+class TemplateError extends Error {}
+
+// Template files are read once per path.
+const templateCache = new Map();
+
+function parseFilters(filterText) {
+    return filterText.split('|').slice(1).map(filter => {
+        const separator = filter.indexOf(':');
+        return separator === -1
+            ? { name: filter.trim(), arg: '' }
+            : { name: filter.slice(0, separator).trim(), arg: filter.slice(separator + 1).trim() };
+    });
+}
+
+function parseNumber(value) {
+    const normalized = String(value).trim().replace(/\s/g, '');
+    // "1234,56" and "1234.56" are both accepted; a comma followed by three digits is a thousands separator.
+    const number = Number(/,\d{1,2}$/.test(normalized) ? normalized.replace(/\./g, '').replace(',', '.') : normalized.replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+function parseDate(value) {
+    const text = String(value).trim();
+    let match;
+    if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+    if (/^\d{9,10}$/.test(text)) {
+        return new Date(Number(text) * 1000);
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+const FORMATTERS = {
+    number: (value, arg, { language }) => {
+        const number = parseNumber(value);
+        if (number === null) return value;
+        const decimals = arg === '' ? undefined : parseInt(arg, 10);
+        return new Intl.NumberFormat(language, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(number);
+    },
+    currency: (value, arg, { language, currency }) => {
+        const number = parseNumber(value);
+        if (number === null) return value;
+        return new Intl.NumberFormat(language, { style: 'currency', currency: (arg || currency).toUpperCase() }).format(number);
+    },
+    date: (value, arg, { language }) => {
+        const date = parseDate(value);
+        if (!date) return value;
+        return new Intl.DateTimeFormat(language, { dateStyle: DATE_STYLES.includes(arg) ? arg : 'long' }).format(date);
+    },
+    time: (value, arg, { language }) => {
+        const date = parseDate(value);
+        if (!date) return value;
+        return new Intl.DateTimeFormat(language, { timeStyle: DATE_STYLES.includes(arg) ? arg : 'short' }).format(date);
+    },
+    digits: (value) => String(value).replace(/\s/g, '').split('').join(' '),
+};
+
+/**
+ * Lists the variables referenced by a template.
+ * @param {string} template
+ * @returns {string[]} The variable names, without duplicates.
+ */
+function getTemplateVariables(template) {
+    const names = new Set();
+    for (const match of String(template).matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+    }
+    return Array.from(names);
+}
+
+/**
+ * Fills the placeholders of a template.
+ * @param {string} template
+ * @param {object} variables - Values by variable name.
+ * @param {object} options
+ * @param {string} options.language - Locale of the formatters, e.g. the TTS language.
+ * @param {string} [options.currency='EUR'] - Currency of `currency` without a code.
+ * @param {boolean} [options.ssml=false] - The template is SSML, so values are XML-escaped.
+ * @returns {{text: string, missing: string[]}} The text, and the variables that were empty and had no default.
+ * @throws {TemplateError} If a placeholder uses an unknown formatter or an invalid currency.
+ */
+function renderTemplate(template, variables, { language, currency = 'EUR', ssml = false }) {
+    const missing = [];
+    const text = String(template).replace(PLACEHOLDER_PATTERN, (placeholder, name, filterText) => {
+        let value = variables[name] === undefined || variables[name] === null ? '' : String(variables[name]);
+        for (const { name: filter, arg } of parseFilters(filterText)) {
+            if (filter === 'default') {
+                if (value === '') value = arg;
+                continue;
+            }
+            if (!FORMATTERS[filter]) {
+                throw new TemplateError(`Unknown formatter '${filter}' in ${placeholder}. Expected one of default, ${Object.keys(FORMATTERS).join(', ')}.`);
+            }
+            if (value === '') continue;
+            try {
+                value = FORMATTERS[filter](value, arg, { language, currency });
+            } catch (err) {
+                throw new TemplateError(`Could not apply ${filter} in ${placeholder}: ${err.message}`);
+            }
+        }
+        if (value === '') missing.push(name);
+        return ssml ? escapeXml(value) : value;
+    });
+    return { text, missing };
+}
+
+/**
+ * Reads a named template.
+ * @param {string} directory - The templates directory.
+ * @param {string} id - The template id, the file name without extension.
+ * @returns {Promise<{text: string, ssml: boolean}>}
+ * @throws {TemplateError} If the id is invalid or there is no such template.
+ */
+async function loadTemplate(directory, id) {
+    if (!TEMPLATE_ID_PATTERN.test(id || '')) {
+        throw new TemplateError(`Invalid prompt template id '${id}'.`);
+    }
+    for (const extension of ['.ssml', '.txt']) {
+        const filePath = path.resolve(directory, `${id}${extension}`);
+        if (!templateCache.has(filePath)) {
+            try {
+                templateCache.set(filePath, (await fs.readFile(filePath, 'utf8')).trim());
+            } catch (err) {
+                if (err.code === 'ENOENT') continue;
+                throw new TemplateError(`Could not read prompt template '${filePath}': ${err.message}`);
+            }
+        }
+        return { text: templateCache.get(filePath), ssml: extension === '.ssml' };
+    }
+    throw new TemplateError(`Prompt template '${id}' not found in ${directory}.`);
+}
+
+module.exports = {
+    TemplateError,
+    getTemplateVariables,
+    renderTemplate,
+    loadTemplate,
+};
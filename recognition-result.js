@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Confidence and N-best alternatives of a recognition, from the detailed
+ * results of Azure (AZURE_STT_OUTPUT_FORMAT=detailed), one per phrase:
+ *
+ *   { DisplayText, Offset, Duration, NBest: [{ Confidence, Display, Lexical, ITN, ... }, ...] }
+ *
+ * Offset and Duration are in ticks of 100 ns, and the offset is counted from
+ * the start of the audio pushed to the recognizer. The simple format has them too.
+ * With AZURE_STT_WORD_TIMESTAMPS each NBest entry also lists its words:
+ *
+ *   Words: [{ Word, Offset, Duration }, ...]
+ *
+ * A translation recognizer gives its phrases in other shapes, see normalizePhrase().
+ *
+ * A recognition of several phrases is scored as a whole: each hypothesis
+ * combines the n-th alternative of every phrase, or its best one if the phrase
+ * has fewer, and its confidence is the average weighted by phrase duration.
+ */
+
+function getScoredPhrases(detailed) {
+    return (detailed || []).filter(result => result && Array.isArray(result.NBest) && result.NBest.length > 0);
+}
+
+function getHypothesis(phrases, index) {
+    const entries = phrases.map(phrase => phrase.NBest[index] || phrase.NBest[0]);
+    const weights = phrases.map(phrase => (phrase.Duration > 0 ? phrase.Duration : 0));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const confidence = totalWeight > 0
+        ? entries.reduce((sum, entry, i) => sum + (entry.Confidence || 0) * weights[i], 0) / totalWeight
+        : entries.reduce((sum, entry) => sum + (entry.Confidence || 0), 0) / entries.length;
+    return {
+        text: entries.map(entry => entry.Display || entry.Lexical || '').join(' ').trim(),
+        confidence: Math.round(confidence * 10000) / 10000,
+    };
+}
+
+/**
+ * Brings a recognized phrase to the shape of the speech recognition results.
+ * A translation recognizer gives the text as `Text` ('translation.phrase'), or
+ * nests the phrase under `SpeechPhrase` next to the translations
+ * ('translation.response'); the translations are kept as `Translation`.
+ * @param {object} result - The parsed JSON of the result.
+ * @param {string} [text] - The text of the result, used if the JSON has none.
+ * @returns {object} The phrase, with `DisplayText`.
+ */
+function normalizePhrase(result, text = '') {
+    let phrase = result || {};
+    if (phrase.SpeechPhrase) {
+        const { SpeechPhrase, ...translation } = phrase;
+        phrase = { ...SpeechPhrase, Translation: translation };
+    }
+    if (typeof phrase.DisplayText === 'string') {
+        return phrase;
+    }
+    return { ...phrase, DisplayText: typeof phrase.Text === 'string' ? phrase.Text : text };
+}
+
+/**
+ * Scores a recognition.
+ * @param {object[]} detailed - The detailed results of the recognition.
+ * @param {number} maxAlternatives - How many alternatives to return at most.
+ * @returns {{confidence: number|null, alternatives: {text: string, confidence: number}[]}}
+ *   The confidence of the best hypothesis, from 0 to 1, or null if the results have no NBest;
+ *   and the other hypotheses, different from the best one and from each other.
+ */
+function scoreRecognition(detailed, maxAlternatives) {
+    const phrases = getScoredPhrases(detailed);
+    if (phrases.length === 0) {
+        return { confidence: null, alternatives: [] };
+    }
+    const best = getHypothesis(phrases, 0);
+    const depth = Math.max(...phrases.map(phrase => phrase.NBest.length));
+    const alternatives = [];
+    for (let i = 1; i < depth && alternatives.length < maxAlternatives; i++) {
+        const hypothesis = getHypothesis(phrases, i);
+        if (hypothesis.text && hypothesis.text !== best.text && !alternatives.some(alternative => alternative.text === hypothesis.text)) {
+            alternatives.push(hypothesis);
+        }
+    }
+    return { confidence: best.confidence, alternatives };
+}
+
+/**
+ * Returns the phrases of a recognition with their position in the audio,
+ * e.g. the segments of a dictation.
+ * @param {object[]} detailed - The detailed results of the recognition.
+ * @returns {{text: string, startMs: number|null, endMs: number|null}[]} The times are null
+ *   if the provider does not give them.
+ */
+function getSegments(detailed) {
+    return (detailed || []).filter(result => result && result.DisplayText).map(result => {
+        const hasTimes = typeof result.Offset === 'number' && typeof result.Duration === 'number';
+        return {
+            text: result.DisplayText,
+            startMs: hasTimes ? Math.round(result.Offset / 10000) : null,
+            endMs: hasTimes ? Math.round((result.Offset + result.Duration) / 10000) : null,
+        };
+    });
+}
+
+module.exports = {
+    normalizePhrase,
+    scoreRecognition,
+    getSegments,
+};
@@ -1,18 +1,27 @@
 'use strict';
 
 const dgram = require('dgram');
+const crypto = require('crypto');
 const EventEmitter = require('events');
 const createLogger = require('./logger');
 
 const globalLogger = createLogger(); // Fallback logger
+const RTP_HEADER_SIZE = 12;
+const FRAME_DURATION_MS = 20;
+const MAX_SEND_LAG_MS = 200;
 
 class RtpServer extends EventEmitter {
-    constructor(logger, preBufferSize = 100) {
+    constructor(logger, preBufferSize = 100, clockRate = 8000) {
         super();
         this.logger = logger || globalLogger;
-        this.socket = dgram.createSocket('udp4');
+        this.socket = null;
         this.address = null;
 
+        // Inbound stream statistics. Jitter is the RFC 3550 interarrival jitter, in seconds.
+        this.clockRate = clockRate;
+        this.stats = { received: 0, lost: 0, jitter: 0 };
+        this.lastTransit = null;
+
         // Jitter buffer and circular pre-buffer
         this.jitterBuffer = new Map();
         this.preBuffer = [];
@@ -22,15 +31,45 @@ class RtpServer extends EventEmitter {
         this.intervalId = null;
         this.isRecognizing = false;
 
+        // Outbound stream state (RTP sent back to Asterisk)
+        this.remote = null;
+        this.ssrc = crypto.randomBytes(4).readUInt32BE(0);
+        this.sendSequence = crypto.randomBytes(2).readUInt16BE(0);
+        this.sendTimestamp = crypto.randomBytes(4).readUInt32BE(0);
+        this.lastSendTime = null;
+        this.isSending = false;
+        this.sendCodec = null;
+        // Queued PCM chunks; the first one is consumed from sendOffset.
+        this.sendQueue = [];
+        this.sendOffset = 0;
+        this.sendQueuedBytes = 0;
+        this.sendEnded = false;
+        this.sendTimer = null;
+
+        this.createSocket();
+    }
+
+    createSocket() {
+        this.socket = dgram.createSocket('udp4');
+
         this.socket.on('error', (err) => {
+            // Errors while binding are handled by listen().
+            if (!this.address) return;
             this.logger.error(`RTP Server Error:\n${err.stack}`);
-            this.socket.close();
+            this.closeSocket();
             this.emit('error', err);
         });
 
-        this.socket.on('message', (msg) => {
+        this.socket.on('message', (msg, rinfo) => {
+            // Learn the remote endpoint from the first packet (symmetric RTP)
+            // unless it has been set explicitly.
+            if (!this.remote) {
+                this.remote = { address: rinfo.address, port: rinfo.port };
+            }
+
             const sequenceNumber = msg.readUInt16BE(2);
-            const audioPayload = msg.slice(12);
+            this.updateStats(msg.readUInt32BE(4));
+            const audioPayload = msg.slice(RTP_HEADER_SIZE);
             this.jitterBuffer.set(sequenceNumber, audioPayload);
 
             if (!this.isPlaying) {
@@ -45,6 +84,19 @@ class RtpServer extends EventEmitter {
         });
     }
 
+    updateStats(rtpTimestamp) {
+        this.stats.received++;
+        const transit = performance.now() / 1000 - rtpTimestamp / this.clockRate;
+        if (this.lastTransit !== null) {
+            const delta = Math.abs(transit - this.lastTransit);
+            // A jump of more than a second is a timestamp discontinuity, not jitter.
+            if (delta < 1) {
+                this.stats.jitter += (delta - this.stats.jitter) / 16;
+            }
+        }
+        this.lastTransit = transit;
+    }
+
     listen(ip, startPort) {
         return new Promise((resolve, reject) => {
             const tryBind = (port) => {
@@ -56,8 +108,8 @@ class RtpServer extends EventEmitter {
                 const onError = (err) => {
                     if (err.code === 'EADDRINUSE') {
                         this.logger.warn(`Port ${port} is in use, trying next one.`);
-                        this.socket.close();
-                        this.socket = dgram.createSocket('udp4');
+                        this.closeSocket();
+                        this.createSocket();
                         tryBind(port + 1);
                     } else {
                         reject(err);
@@ -88,6 +140,8 @@ class RtpServer extends EventEmitter {
             if (this.jitterBuffer.has(nextSeq)) {
                 missCount = 0;
                 const audioPayload = this.jitterBuffer.get(nextSeq);
+                // Every frame, in order, whether recognizing or not (used by the local VAD).
+                this.emit('audioFrame', audioPayload);
 
                 if (this.isRecognizing) {
                     this.emit('audioPacket', audioPayload);
@@ -112,6 +166,7 @@ class RtpServer extends EventEmitter {
 
                     if (nextAvailableSeq !== undefined) {
                         this.logger.warn(`RTP packet ${nextSeq} lost. Skipping to next available packet ${nextAvailableSeq}.`);
+                        this.stats.lost += (nextAvailableSeq - nextSeq + 65536) % 65536;
                         this.lastPlayedSeq = nextAvailableSeq - 1;
                     }
                     missCount = 0;
@@ -128,12 +183,180 @@ class RtpServer extends EventEmitter {
         return flushedAudio;
     }
 
+    /**
+     * Sets the remote endpoint that outbound RTP is sent to.
+     * If never called, the source of the first received packet is used.
+     * @param {string} address
+     * @param {number} port
+     */
+    setRemote(address, port) {
+        this.remote = { address, port };
+        this.logger.info(`RTP Server will send audio to ${address}:${port}`);
+    }
+
+    /**
+     * Starts an outbound RTP stream. Audio queued with sendAudio() is sent in
+     * paced 20 ms frames until finishSending() or stopSending() is called.
+     * Sequence number, timestamp and SSRC continue across streams.
+     * @param {object} codec - Codec descriptor from audio-converter.js.
+     */
+    startSending(codec) {
+        if (this.isSending) {
+            this.stopSending();
+        }
+        const now = Date.now();
+        if (this.lastSendTime !== null) {
+            // Advance the timestamp by the time elapsed since the last stream.
+            this.sendTimestamp = (this.sendTimestamp + Math.round((now - this.lastSendTime) * codec.sampleRate / 1000)) >>> 0;
+        }
+
+        this.sendCodec = codec;
+        this.clearSendQueue();
+        this.sendEnded = false;
+        this.isSending = true;
+
+        const samplesPerFrame = codec.sampleRate * FRAME_DURATION_MS / 1000;
+        const pcmFrameBytes = samplesPerFrame * 2;
+        let marker = true;
+        let nextFrameTime = now;
+
+        const tick = () => {
+            if (!this.isSending) return;
+            const currentTime = Date.now();
+            if (currentTime - nextFrameTime > MAX_SEND_LAG_MS) {
+                this.logger.warn(`RTP sender fell ${currentTime - nextFrameTime} ms behind. Resynchronizing.`);
+                nextFrameTime = currentTime;
+            }
+
+            while (this.isSending && nextFrameTime <= currentTime) {
+                if (this.sendQueuedBytes >= pcmFrameBytes || (this.sendEnded && this.sendQueuedBytes > 0)) {
+                    const frame = Buffer.alloc(pcmFrameBytes); // Zero padding for the last partial frame
+                    this.readSendQueue(frame);
+                    this.sendFrame(codec.encode(frame), marker);
+                    marker = false;
+                } else if (this.sendEnded) {
+                    this.finishStream(false);
+                    return;
+                } else {
+                    // Underflow: keep the clock running and mark the next talkspurt.
+                    marker = true;
+                }
+                this.sendTimestamp = (this.sendTimestamp + samplesPerFrame) >>> 0;
+                this.lastSendTime = nextFrameTime;
+                nextFrameTime += FRAME_DURATION_MS;
+            }
+            this.sendTimer = setTimeout(tick, Math.max(0, nextFrameTime - Date.now()));
+        };
+        tick();
+    }
+
+    /**
+     * Queues 16-bit little-endian PCM audio for the outbound stream.
+     * @param {Buffer} pcmAudio
+     */
+    sendAudio(pcmAudio) {
+        if (!this.isSending || pcmAudio.length === 0) return;
+        this.sendQueue.push(pcmAudio);
+        this.sendQueuedBytes += pcmAudio.length;
+    }
+
+    /**
+     * Moves queued audio into a frame, without copying the rest of the queue.
+     * @param {Buffer} frame - Filled from the start with up to its length in bytes.
+     */
+    readSendQueue(frame) {
+        let written = 0;
+        while (written < frame.length && this.sendQueue.length > 0) {
+            const chunk = this.sendQueue[0];
+            const copied = chunk.copy(frame, written, this.sendOffset);
+            written += copied;
+            this.sendOffset += copied;
+            if (this.sendOffset >= chunk.length) {
+                this.sendQueue.shift();
+                this.sendOffset = 0;
+            }
+        }
+        this.sendQueuedBytes -= written;
+    }
+
+    clearSendQueue() {
+        this.sendQueue = [];
+        this.sendOffset = 0;
+        this.sendQueuedBytes = 0;
+    }
+
+    /**
+     * Marks the end of the outbound audio. 'sendFinished' is emitted once the
+     * queue has been drained.
+     */
+    finishSending() {
+        this.sendEnded = true;
+    }
+
+    /**
+     * Stops the outbound stream immediately, discarding queued audio (barge-in).
+     */
+    stopSending() {
+        if (!this.isSending) return;
+        this.finishStream(true);
+    }
+
+    finishStream(interrupted) {
+        this.isSending = false;
+        clearTimeout(this.sendTimer);
+        this.sendTimer = null;
+        this.clearSendQueue();
+        this.emit('sendFinished', { interrupted });
+    }
+
+    sendFrame(payload, marker) {
+        if (!this.socket) return;
+        if (!this.remote) {
+            this.logger.debug('RTP remote endpoint unknown, dropping outbound frame.');
+            return;
+        }
+        const header = Buffer.alloc(RTP_HEADER_SIZE);
+        header.writeUInt8(0x80, 0); // Version 2, no padding, no extension, no CSRC
+        header.writeUInt8((marker ? 0x80 : 0) | this.sendCodec.payloadType, 1);
+        header.writeUInt16BE(this.sendSequence, 2);
+        header.writeUInt32BE(this.sendTimestamp, 4);
+        header.writeUInt32BE(this.ssrc, 8);
+        this.sendSequence = (this.sendSequence + 1) % 65536;
+
+        this.socket.send(Buffer.concat([header, payload]), this.remote.port, this.remote.address, (err) => {
+            if (err) {
+                this.logger.warn(`Failed to send RTP frame: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Returns to pre-buffering mode after a recognition, so the start of the
+     * caller's next utterance is captured again.
+     */
+    resumePreBuffering() {
+        this.isRecognizing = false;
+        this.preBuffer = [];
+    }
+
+    /**
+     * Closes the socket once. It is closed on socket errors as well as by
+     * close(), and closing a dgram socket twice throws.
+     */
+    closeSocket() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+    }
+
     close() {
+        this.stopSending();
         if (this.intervalId) {
             clearInterval(this.intervalId);
         }
         if (this.socket) {
-            this.socket.close();
+            this.closeSocket();
             this.logger.info('RTP Server stopped.');
         }
     }
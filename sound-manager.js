@@ -84,9 +84,10 @@ const RECORDINGS_DIR_NAME = 'recordings';
  * @param {string} metadata.uniqueId - The unique channel ID.
  * @param {string} metadata.callerId - The caller's ID.
  * @param {object} logger - The logger instance for the call.
+ * @param {number} [sampleRate=8000] - The sample rate of the 16-bit PCM audio.
  * @returns {Promise<string|null>} The path to the saved file or null on error.
  */
-async function saveFinalAudio(audioBuffer, type, metadata, logger) {
+async function saveFinalAudio(audioBuffer, type, metadata, logger, sampleRate = 8000) {
     const { uniqueId, callerId } = metadata;
     const recordingsDir = path.join(process.cwd(), RECORDINGS_DIR_NAME, type);
     await fs.mkdir(recordingsDir, { recursive: true });
@@ -96,12 +97,12 @@ async function saveFinalAudio(audioBuffer, type, metadata, logger) {
     const filePath = path.join(recordingsDir, filename);
 
     try {
-        // For STT audio, we receive raw u-law, so it needs conversion before adding a WAV header.
+        // For STT audio, we receive the negotiated RTP codec, so it needs decoding before adding a WAV header.
         // For TTS, we already have PCM data from Azure.
-        // The conversion is handled in ari-client, so we assume PCM here.
+        // The decoding is handled in ari-client, so we assume PCM here.
         const wavOptions = {
             numChannels: 1,
-            sampleRate: 8000,
+            sampleRate,
             bitDepth: 16,
         };
         const wavBuffer = addWavHeader(audioBuffer, wavOptions);
@@ -114,9 +115,35 @@ async function saveFinalAudio(audioBuffer, type, metadata, logger) {
     }
 }
 
+/**
+ * Saves the captured log entries of a call as JSON lines next to its recordings.
+ * @param {object[]} entries - The structured log entries, see logger.js.
+ * @param {object} metadata - Metadata for the filename.
+ * @param {string} metadata.uniqueId - The unique channel ID.
+ * @param {string} metadata.callerId - The caller's ID.
+ * @param {object} logger - The logger instance for the call.
+ * @returns {Promise<string|null>} The path to the saved file or null on error.
+ */
+async function saveCallLog(entries, metadata, logger) {
+    const { uniqueId, callerId } = metadata;
+    const logsDir = path.join(process.cwd(), RECORDINGS_DIR_NAME, 'log');
+    const timestamp = new Date().toISOString().replace(/:/g, '-');
+    const filePath = path.join(logsDir, `${uniqueId}_${callerId}_${timestamp}_log.jsonl`);
+
+    try {
+        await fs.mkdir(logsDir, { recursive: true });
+        await fs.writeFile(filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        return filePath;
+    } catch (err) {
+        (logger || globalLogger).error(`Failed to save call log to ${filePath}:`, err);
+        return null;
+    }
+}
+
 module.exports = {
     initialize,
     saveTempAudio,
     cleanupTempAudio,
     saveFinalAudio,
+    saveCallLog,
 };
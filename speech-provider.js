@@ -0,0 +1,97 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Registry of the available speech providers. Providers are loaded lazily so
+ * that selecting one (e.g. 'local') does not require the SDKs of the others.
+ */
+const PROVIDERS = {
+    azure: () => require('./azure-service'),
+    local: () => require('./local-speech-service'),
+};
+
+/**
+ * Base class for speech backends (TTS and STT).
+ *
+ * A provider must implement the methods below and emit the following events
+ * during a recognition session:
+ *  - 'audioStreamReady' (pushStream): the recognizer is ready; the stream
+ *    exposes `write(Buffer)` and `close()` and accepts 16-bit linear PCM.
+ *  - 'recognizing' ({ text }): an intermediate hypothesis.
+ *  - 'recognitionEnded' ({ finalText, detailed, language, translations }): the
+ *    session has stopped. `language` is the spoken language if the provider
+ *    identified it (see AZURE_STT_CANDIDATE_LANGUAGES), otherwise null.
+ *    `translations` has the text in each target language of a translation
+ *    session, e.g. { es: '...' }, and is null otherwise.
+ *  - 'recognitionError' (Error): the session failed, possibly before
+ *    'audioStreamReady'. `code` names the cause (e.g. 'CONNECTION_FAILURE')
+ *    and is set as RECOGNITION_ERROR_CODE.
+ */
+class SpeechProvider extends EventEmitter {
+    constructor(config, logger) {
+        super();
+        this.config = config;
+        this.logger = logger;
+    }
+
+    /**
+     * Synthesizes text to an audio stream of raw PCM.
+     * @param {string} text - The text to synthesize.
+     * @param {object} [options]
+     * @param {boolean} [options.ssml=false] - Whether `text` is an SSML document or fragment, see ssml.js.
+     * @returns {Promise<import('stream').Readable>}
+     */
+    synthesizeText(text, options) {
+        return Promise.reject(new Error(`${this.constructor.name} does not implement synthesizeText()`));
+    }
+
+    /**
+     * Starts a continuous speech recognition session.
+     * Audio should be pushed to the stream provided by the 'audioStreamReady' event.
+     * @param {object} [audioFormat] - Format of the PCM audio that will be pushed.
+     * @param {number} [audioFormat.sampleRate=8000] - 8000 for narrowband, 16000 for wideband.
+     */
+    startContinuousRecognition(audioFormat) {
+        throw new Error(`${this.constructor.name} does not implement startContinuousRecognition()`);
+    }
+
+    /**
+     * Starts a continuous speech recognition session that also translates what
+     * is recognized. Providers without translation do not implement it.
+     * @param {object} [audioFormat] - See startContinuousRecognition().
+     * @param {string[]} targetLanguages - Languages to translate to, e.g. ['es'].
+     */
+    startContinuousTranslation(audioFormat, targetLanguages) {
+        throw new Error(`${this.constructor.name} does not implement startContinuousTranslation()`);
+    }
+
+    /**
+     * Stops the continuous speech recognition session. Must be safe to call
+     * when no session is active.
+     */
+    stopContinuousRecognition() {
+        throw new Error(`${this.constructor.name} does not implement stopContinuousRecognition()`);
+    }
+}
+
+/**
+ * Creates the speech provider selected by `config.speech.provider`.
+ * @param {object} config - The call-specific configuration.
+ * @param {object} logger - The logger instance for the call.
+ * @returns {SpeechProvider}
+ */
+function createSpeechProvider(config, logger) {
+    const name = (config.speech.provider || 'azure').toLowerCase();
+    const loadProvider = PROVIDERS[name];
+    if (!loadProvider) {
+        throw new Error(`Unknown speech provider '${name}'. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    const Provider = loadProvider();
+    return new Provider(config, logger);
+}
+
+module.exports = {
+    SpeechProvider,
+    createSpeechProvider,
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Builds the SSML document sent to the TTS service.
+ *
+ * The input of a prompt is either plain text, which is XML-escaped, or SSML:
+ * a full `<speak>` document, or a fragment with elements such as `<break>`,
+ * `<say-as>` or `<prosody>`, placed inside the `<voice>` element.
+ * Style, rate, pitch and volume from the `azure.tts` configuration wrap the
+ * content in `<mstts:express-as>` and `<prosody>`.
+ *
+ * A `<speak>` document with its own `<voice>` elements is sent as is, and the
+ * configured voice, style and prosody are ignored. Without `<voice>`, its
+ * content is placed in the configured voice like a fragment.
+ */
+
+const SSML_NAMESPACE = 'http://www.w3.org/2001/10/synthesis';
+const MSTTS_NAMESPACE = 'https://www.w3.org/2001/mstts';
+const TEXT_FORMATS = ['auto', 'text', 'ssml'];
+const SPEAK_DOCUMENT_PATTERN = /^\s*(<\?xml[^>]*\?>\s*)?<speak[\s>]/i;
+// The opening <speak> tag, its content and the closing tag.
+const SPEAK_PARTS_PATTERN = /^(\s*(?:<\?xml[^>]*\?>\s*)?<speak\b[^>]*>)([\s\S]*)(<\/speak>\s*)$/i;
+const VOICE_NAME_PATTERN = /<voice\b[^>]*\bname\s*=\s*(["'])(.*?)\1/gi;
+
+/**
+ * Escapes the characters with a meaning in XML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Tells whether a prompt text is SSML according to the text format.
+ * @param {string} text - The prompt text.
+ * @param {string} textFormat - 'text', 'ssml' or 'auto' (SSML only if it is a `<speak>` document).
+ * @returns {boolean}
+ */
+function isSsmlInput(text, textFormat) {
+    if (textFormat === 'ssml') return true;
+    if (textFormat === 'text') return false;
+    return SPEAK_DOCUMENT_PATTERN.test(text || '');
+}
+
+/**
+ * Wraps SSML content in the configured prosody and speaking style.
+ * @param {string} content - The SSML content of the voice.
+ * @param {object} ttsConfig - The `azure.tts` configuration.
+ * @returns {string} The content inside `<prosody>` (rate, pitch, volume) and
+ *   `<mstts:express-as>` (style, styleDegree), each only if configured.
+ */
+function applyStyle(content, ttsConfig) {
+    const prosody = ['rate', 'pitch', 'volume']
+        .filter(name => ttsConfig[name])
+        .map(name => `${name}='${escapeXml(ttsConfig[name])}'`);
+    if (prosody.length > 0) {
+        content = `<prosody ${prosody.join(' ')}>${content}</prosody>`;
+    }
+    if (ttsConfig.style) {
+        const degree = ttsConfig.styleDegree ? ` styledegree='${escapeXml(ttsConfig.styleDegree)}'` : '';
+        content = `<mstts:express-as style='${escapeXml(ttsConfig.style)}'${degree}>${content}</mstts:express-as>`;
+    }
+    return content;
+}
+
+/**
+ * Places SSML content in the configured voice, with its style and prosody.
+ * @param {string} content - The SSML content, already escaped if it was plain text.
+ * @param {object} ttsConfig - The `azure.tts` configuration.
+ * @param {string} [gender] - The voice gender, omitted from the element if unknown.
+ * @returns {string} The `<voice>` element.
+ */
+function wrapInVoice(content, ttsConfig, gender) {
+    const language = escapeXml(ttsConfig.language);
+    const genderAttribute = gender ? ` xml:gender='${escapeXml(gender)}'` : '';
+    return `<voice xml:lang='${language}'${genderAttribute} name='${escapeXml(ttsConfig.voiceName)}'>${applyStyle(content, ttsConfig)}</voice>`;
+}
+
+/**
+ * Lists the settings of the `azure.tts` configuration that a `<speak>` document
+ * with its own voices overrides.
+ * @param {string} document - The SSML document.
+ * @param {object} ttsConfig - The `azure.tts` configuration.
+ * @returns {string[]} e.g. ['voiceName', 'rate']; empty if the document has no `<voice>`.
+ */
+function getOverriddenSettings(document, ttsConfig) {
+    const voiceNames = Array.from(String(document).matchAll(VOICE_NAME_PATTERN), match => match[2]);
+    if (voiceNames.length === 0) return [];
+    const overridden = voiceNames.some(name => name !== ttsConfig.voiceName) ? ['voiceName'] : [];
+    return overridden.concat(['style', 'rate', 'pitch', 'volume'].filter(name => ttsConfig[name]));
+}
+
+/**
+ * Builds the SSML document for a prompt.
+ * @param {string} input - Plain text or SSML.
+ * @param {object} ttsConfig - The `azure.tts` configuration.
+ * @param {object} [options]
+ * @param {boolean} [options.ssml=false] - Whether `input` is SSML.
+ * @param {string} [options.gender] - The voice gender ('Female', 'Male' or 'Neutral'), omitted if unknown.
+ * @param {object} [options.logger] - Warned when a `<speak>` document overrides the configured voice or prosody.
+ * @returns {string}
+ */
+function buildSsml(input, ttsConfig, { ssml = false, gender, logger } = {}) {
+    if (!ssml || !SPEAK_DOCUMENT_PATTERN.test(input)) {
+        const language = escapeXml(ttsConfig.language);
+        return `<speak version='1.0' xmlns='${SSML_NAMESPACE}' xmlns:mstts='${MSTTS_NAMESPACE}' xml:lang='${language}'>` +
+               `${wrapInVoice(ssml ? input : escapeXml(input), ttsConfig, gender)}</speak>`;
+    }
+
+    const parts = input.match(SPEAK_PARTS_PATTERN);
+    if (!parts || /<voice\b/i.test(parts[2])) {
+        const overridden = getOverriddenSettings(input, ttsConfig);
+        if (overridden.length > 0 && logger) {
+            logger.warn(`The SSML document sets its own voice. The configured ${overridden.join(', ')} ${overridden.length > 1 ? 'are' : 'is'} ignored.`);
+        }
+        return input;
+    }
+    let speakTag = parts[1];
+    if (ttsConfig.style && !/\bxmlns:mstts\s*=/.test(speakTag)) {
+        speakTag = speakTag.replace(/<speak\b/i, `<speak xmlns:mstts='${MSTTS_NAMESPACE}'`);
+    }
+    return `${speakTag}${wrapInVoice(parts[2], ttsConfig, gender)}${parts[3]}`;
+}
+
+/**
+ * Removes the markup of an SSML text, e.g. to estimate its spoken length.
+ * @param {string} ssml
+ * @returns {string}
+ */
+function stripSsml(ssml) {
+    return String(ssml).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    TEXT_FORMATS,
+    escapeXml,
+    isSsmlInput,
+    getOverriddenSettings,
+    buildSsml,
+    stripSsml,
+};
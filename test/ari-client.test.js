@@ -0,0 +1,129 @@
+'use strict';
+
+// The application logger loads the config. The interactions are not written
+// (saveInteraction is mocked), so no database driver is needed either.
+process.env.SPEECH_PROVIDER = process.env.SPEECH_PROVIDER || 'local';
+process.env.DB_DIALECT = process.env.DB_DIALECT || 'mysql';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { cloneDeep } = require('lodash');
+const App = require('../ari-client');
+const config = require('../config');
+const createLogger = require('../logger');
+
+const createCallState = (appOverrides = {}) => {
+    const callConfig = cloneDeep(config);
+    callConfig.app.retry.maxAttempts = 3;
+    callConfig.app.dictation.enabled = true;
+    Object.assign(callConfig.app.confidence, appOverrides.confidence);
+    Object.assign(callConfig.app.dialog, appOverrides.dialog);
+
+    const mainChannel = new EventEmitter();
+    mainChannel.id = 'test-channel';
+    mainChannel.caller = { number: '100', name: 'Test' };
+    mainChannel.continued = 0;
+    mainChannel.setChannelVar = async () => {};
+    mainChannel.continueInDialplan = async () => { mainChannel.continued++; };
+
+    return {
+        mainChannel,
+        config: callConfig,
+        logger: createLogger({ context: { uniqueId: mainChannel.id, callerId: '100' }, config: callConfig }),
+        timers: {},
+        speechProvider: { stopContinuousRecognition: () => {} },
+        isRecognizing: true,
+        isFinished: false,
+        hungUp: false,
+        attempt: 1,
+        recognitionMode: 'voice',
+        finalTranscript: '',
+        finalTranscriptDetailed: null,
+        confidence: null,
+        alternatives: [],
+        dtmfDigits: '',
+        validation: null,
+        confirmation: null,
+        confirmationStatus: null,
+        dialogStatus: null,
+        dictationEndReason: null,
+        talkListeners: null,
+        sttAudioChunks: [],
+    };
+};
+
+const createApp = (t) => {
+    const app = new App();
+    t.mock.method(app, 'saveInteraction', async () => {});
+    t.mock.method(app, 'startNextAttempt', async () => {});
+    t.mock.method(app, 'handlePrompt', async () => {});
+    return app;
+};
+
+test('a dictation ended by hanging up is saved instead of retried', async (t) => {
+    const app = createApp(t);
+    const callState = createCallState();
+
+    await app.cleanup(callState);
+    assert.equal(callState.hungUp, true);
+    assert.equal(callState.dictationEndReason, 'hangup');
+
+    await app.finishAttempt(callState);
+    assert.equal(app.startNextAttempt.mock.callCount(), 0);
+    assert.equal(app.saveInteraction.mock.callCount(), 1);
+    assert.equal(callState.isFinished, true);
+    assert.equal(callState.mainChannel.continued, 0);
+});
+
+test('a low-confidence result of a hung-up call is not confirmed', async (t) => {
+    const app = createApp(t);
+    const callState = createCallState({ confidence: { minimum: 0.8, confirmPrompt: '¿Ha dicho {{TRANSCRIPT}}?' } });
+    Object.assign(callState, { finalTranscript: 'Quiero pagar.', confidence: 0.4 });
+
+    await app.cleanup(callState);
+    await app.finishAttempt(callState);
+    assert.equal(app.handlePrompt.mock.callCount(), 0);
+    assert.equal(app.startNextAttempt.mock.callCount(), 0);
+    assert.equal(app.saveInteraction.mock.callCount(), 1);
+    assert.equal(callState.finalTranscript, 'Quiero pagar.');
+});
+
+test('the result of a hung-up call is not sent to the dialog webhook', async (t) => {
+    const app = createApp(t);
+    const callState = createCallState({ dialog: { webhookUrl: 'http://127.0.0.1:9/dialog' } });
+    callState.finalTranscript = 'Quiero pagar.';
+
+    await app.cleanup(callState);
+    await app.finishAttempt(callState);
+    assert.equal(callState.isAwaitingDialog, undefined);
+    assert.equal(callState.dialogStatus, null);
+    assert.equal(app.saveInteraction.mock.callCount(), 1);
+    assert.equal(callState.isFinished, true);
+});
+
+test('cleaning up a call already returned to the dialplan is not a hangup', async (t) => {
+    const app = createApp(t);
+    const callState = createCallState();
+    Object.assign(callState, { isRecognizing: false, isFinished: true });
+
+    await app.cleanup(callState);
+    assert.equal(callState.hungUp, false);
+});
+
+test('a call that selects Azure without credentials is not answered', async (t) => {
+    const app = createApp(t);
+    const channel = new EventEmitter();
+    channel.id = 'azure-call';
+    channel.caller = { number: '100', name: 'Test' };
+    channel.getChannelVars = async () => ({ APP_VAR_SPEECH_PROVIDER: 'azure', APP_VAR_AZURE_SPEECH_REGION: 'westeurope' });
+    channel.answer = t.mock.fn(async () => {});
+    const subscriptionKey = config.azure.subscriptionKey;
+    config.azure.subscriptionKey = '';
+    t.after(() => { config.azure.subscriptionKey = subscriptionKey; });
+
+    await app.handleCall(channel);
+    assert.equal(channel.answer.mock.callCount(), 0);
+    assert.equal(app.activeCalls.get(channel.id).speechProvider, null);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ulawToPcm, pcmToInt16Array, getCodec, getTtsSampleRate } = require('../audio-converter');
+
+const toPcm = (samples) => {
+    const buffer = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+    return buffer;
+};
+const fromPcm = (buffer) => Array.from({ length: buffer.length / 2 }, (_, i) => buffer.readInt16LE(i * 2));
+
+test('getCodec describes every supported Asterisk format', () => {
+    assert.deepEqual(
+        ['ulaw', 'alaw', 'slin', 'slin16'].map(format => {
+            const { name, sampleRate, bytesPerSample, payloadType } = getCodec(format);
+            return [name, sampleRate, bytesPerSample, payloadType];
+        }),
+        [['ulaw', 8000, 1, 0], ['alaw', 8000, 1, 8], ['slin', 8000, 2, 11], ['slin16', 16000, 2, 118]]
+    );
+    assert.equal(getCodec('ULAW').name, 'ulaw');
+    assert.throws(() => getCodec('g729'), /Unsupported audio format 'g729'/);
+    assert.throws(() => getCodec(undefined), /Unsupported audio format/);
+});
+
+test('u-law decodes the G.711 reference values', () => {
+    // Both zeros, the largest positive and negative codes, and a small value.
+    assert.deepEqual(fromPcm(getCodec('ulaw').decode(Buffer.from([0xFF, 0x7F, 0x80, 0x00, 0xF0]))), [0, 0, 32124, -32124, 120]);
+    assert.deepEqual(fromPcm(ulawToPcm(Buffer.from([0x80]))), [32124]);
+});
+
+test('u-law encodes the G.711 reference values', () => {
+    assert.deepEqual(getCodec('ulaw').encode(toPcm([0, 1000, -1000, 32767])), Buffer.from([0xFF, 0xCE, 0x4E, 0x80]));
+});
+
+test('a-law decodes and encodes the G.711 reference values', () => {
+    const alaw = getCodec('alaw');
+    assert.deepEqual(fromPcm(alaw.decode(Buffer.from([0xD5, 0x55, 0xAA, 0x2A]))), [8, -8, 32256, -32256]);
+    assert.deepEqual(alaw.encode(toPcm([0, 1000, -1000, 32767])), Buffer.from([0xD5, 0xFA, 0x7A, 0xAA]));
+});
+
+test('companded codes survive a decode and encode round trip', () => {
+    const codes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    for (const format of ['ulaw', 'alaw']) {
+        const codec = getCodec(format);
+        const roundTrip = codec.encode(codec.decode(codes));
+        // u-law has two codes for zero; the negative one (0x7F) is encoded back as 0xFF.
+        const expected = format === 'ulaw' ? Buffer.from(codes).fill(0xFF, 0x7F, 0x80) : codes;
+        assert.deepEqual(roundTrip, expected, format);
+    }
+});
+
+test('signed linear formats swap between network and little-endian byte order', () => {
+    for (const format of ['slin', 'slin16']) {
+        const codec = getCodec(format);
+        const bigEndian = Buffer.from([0x12, 0x34, 0xFF, 0xFE]);
+        const pcm = codec.decode(bigEndian);
+        assert.deepEqual(fromPcm(pcm), [0x1234, -2], format);
+        assert.deepEqual(codec.encode(pcm), bigEndian, format);
+        assert.deepEqual(bigEndian, Buffer.from([0x12, 0x34, 0xFF, 0xFE]), 'the input is not swapped in place');
+    }
+});
+
+test('signed linear formats drop a trailing odd byte', () => {
+    assert.deepEqual(getCodec('slin').decode(Buffer.from([0x00, 0x01, 0x02])), Buffer.from([0x01, 0x00]));
+});
+
+test('pcmToInt16Array reads buffers at any byte offset', () => {
+    const unaligned = Buffer.concat([Buffer.from([0x00]), toPcm([-300, 300])]).subarray(1);
+    assert.deepEqual(Array.from(pcmToInt16Array(unaligned)), [-300, 300]);
+});
+
+test('getTtsSampleRate reads the rate of the Azure output format', () => {
+    assert.equal(getTtsSampleRate('Riff8Khz16BitMonoPcm'), 8000);
+    assert.equal(getTtsSampleRate('Raw16Khz16BitMonoPcm'), 16000);
+    assert.equal(getTtsSampleRate('Riff24Khz16BitMonoPcm'), 24000);
+    assert.equal(getTtsSampleRate(undefined), 8000);
+});
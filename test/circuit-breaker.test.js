@@ -0,0 +1,56 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker, getBreaker } = require('../circuit-breaker');
+const metrics = require('../metrics');
+
+const circuitOpenValue = (region) => {
+    const line = metrics.render().split('\n').find(l => l.startsWith(`ari_stt_tts_azure_circuit_open{region="${region}"} `));
+    return line ? Number(line.split(' ')[1]) : undefined;
+};
+
+test('the circuit opens after the failure threshold', () => {
+    const breaker = new CircuitBreaker('westeurope', { failureThreshold: 3, cooldownMs: 60000 });
+    assert.equal(breaker.state, 'closed');
+    assert.equal(circuitOpenValue('westeurope'), 0);
+
+    assert.equal(breaker.recordFailure(), false);
+    assert.equal(breaker.recordFailure(), false);
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.recordFailure(), true);
+
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(circuitOpenValue('westeurope'), 1);
+    assert.equal(breaker.recordFailure(), false);
+});
+
+test('a success resets the consecutive failures', () => {
+    const breaker = new CircuitBreaker('northeurope', { failureThreshold: 2, cooldownMs: 60000 });
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    assert.equal(breaker.recordFailure(), false);
+    assert.equal(breaker.state, 'closed');
+});
+
+test('after the cool-down the circuit is half-open and the next result decides', () => {
+    const breaker = new CircuitBreaker('eastus', { failureThreshold: 1, cooldownMs: 0 });
+    assert.equal(breaker.recordFailure(), true);
+    assert.equal(breaker.state, 'half_open');
+    assert.equal(breaker.canRequest(), true);
+
+    assert.equal(breaker.recordFailure(), true);
+    assert.equal(circuitOpenValue('eastus'), 1);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(circuitOpenValue('eastus'), 0);
+});
+
+test('getBreaker shares one breaker per endpoint', () => {
+    const options = { failureThreshold: 1, cooldownMs: 60000 };
+    const breaker = getBreaker('westus', options);
+    assert.equal(getBreaker('westus', options), breaker);
+    assert.notEqual(getBreaker('centralus', options), breaker);
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateInput, extractNumbers, normalizeText } = require('../input-validator');
+
+const voice = (type, extra = {}) => ({ type, inputMode: 'voice', ...extra });
+const dtmf = (type, extra = {}) => ({ type, inputMode: 'dtmf', ...extra });
+
+test('normalizeText lowercases and strips accents and punctuation', () => {
+    assert.equal(normalizeText('  ¡Sí, Señor!  '), 'si senor');
+});
+
+test('extractNumbers groups compound number words', () => {
+    assert.deepEqual(extractNumbers('treinta y cinco').map(n => n.value), [35]);
+    assert.deepEqual(extractNumbers('uno siete cero').map(n => n.value), [1, 7, 0]);
+    assert.deepEqual(extractNumbers('dos mil veinticuatro').map(n => n.value), [2024]);
+    assert.deepEqual(extractNumbers('one hundred twenty three').map(n => n.value), [123]);
+    assert.deepEqual(extractNumbers('007').map(n => n.text), ['007']);
+});
+
+test('digits joins spoken digits and enforces length bounds', () => {
+    assert.deepEqual(validateInput('uno siete cero', voice('digits')), { status: 'VALID', normalized: '170' });
+    assert.deepEqual(validateInput('1 2 3', voice('digits', { minLength: 4 })), { status: 'INVALID', normalized: '123' });
+    assert.deepEqual(validateInput('12345', dtmf('digits', { maxLength: 4 })), { status: 'INVALID', normalized: '12345' });
+    assert.deepEqual(validateInput('', voice('digits')), { status: 'INVALID', normalized: '' });
+});
+
+test('yesno understands Spanish and English answers and DTMF 1/2', () => {
+    assert.deepEqual(validateInput('Sí, claro', voice('yesno', { language: 'es-ES' })), { status: 'VALID', normalized: 'yes' });
+    assert.deepEqual(validateInput('nope', voice('yesno', { language: 'en-US' })), { status: 'VALID', normalized: 'no' });
+    assert.deepEqual(validateInput('tal vez', voice('yesno')), { status: 'INVALID', normalized: '' });
+    assert.deepEqual(validateInput('2', dtmf('yesno')), { status: 'VALID', normalized: 'no' });
+    assert.deepEqual(validateInput('3', dtmf('yesno')), { status: 'INVALID', normalized: '' });
+});
+
+test('date normalizes spoken, numeric and DTMF dates', () => {
+    assert.equal(validateInput('quince de marzo de dos mil veinticuatro', voice('date')).normalized, '2024-03-15');
+    assert.equal(validateInput('15/03/2024', voice('date')).normalized, '2024-03-15');
+    assert.equal(validateInput('2024-03-15', voice('date')).normalized, '2024-03-15');
+    assert.equal(validateInput('150324', dtmf('date')).normalized, '2024-03-15');
+    assert.deepEqual(validateInput('31/02/2024', voice('date')), { status: 'INVALID', normalized: '' });
+});
+
+test('currency normalizes amounts with two decimals', () => {
+    assert.equal(validateInput('25,50', voice('currency')).normalized, '25.50');
+    assert.equal(validateInput('1.250,75', voice('currency')).normalized, '1250.75');
+    assert.equal(validateInput('veinticinco dólares con cincuenta centavos', voice('currency')).normalized, '25.50');
+    assert.equal(validateInput('25*5', dtmf('currency')).normalized, '25.50');
+    assert.deepEqual(validateInput('nada', voice('currency')), { status: 'INVALID', normalized: '' });
+});
+
+test('regex returns the first capture group when there is one', () => {
+    assert.deepEqual(validateInput('Mi código es AB-123', voice('regex', { pattern: '([a-z]{2}-\\d{3})' })), { status: 'VALID', normalized: 'AB-123' });
+    assert.deepEqual(validateInput('abc', voice('regex', { pattern: '^\\d+$' })), { status: 'INVALID', normalized: '' });
+    assert.throws(() => validateInput('abc', voice('regex')), /requires a pattern/);
+});
+
+test('list fuzzy matches an entry of the phrase list file', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'input-validator-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const listFile = path.join(directory, 'cities.txt');
+    fs.writeFileSync(listFile, 'Quito\nGuayaquil\nSanto Domingo\n');
+
+    assert.deepEqual(validateInput('quiero ir a guayakil', voice('list', { listFile })), { status: 'VALID', normalized: 'Guayaquil' });
+    assert.deepEqual(validateInput('santo domingo por favor', voice('list', { listFile })), { status: 'VALID', normalized: 'Santo Domingo' });
+    assert.deepEqual(validateInput('Madrid', voice('list', { listFile })), { status: 'INVALID', normalized: '' });
+    assert.deepEqual(validateInput('3', dtmf('list', { listFile })), { status: 'VALID', normalized: 'Santo Domingo' });
+    assert.throws(() => validateInput('Quito', voice('list')), /requires a list file/);
+});
+
+test('validateInput rejects unknown types', () => {
+    assert.throws(() => validateInput('1', voice('zipcode')), /Unknown validation type 'zipcode'/);
+});
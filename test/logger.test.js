@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The logger reads these when it is loaded; the file sink keeps the test output quiet.
+const logDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+process.env.SPEECH_PROVIDER = process.env.SPEECH_PROVIDER || 'local';
+process.env.LOG_LEVEL = 'debug';
+process.env.LOG_SINKS = 'file';
+process.env.LOG_FILE_PATH = path.join(logDirectory, 'app.log');
+process.env.ADMIN_API_TOKEN = 'admin-token-5678';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const createLogger = require('../logger');
+const { RotatingFileSink } = require('../log-sinks');
+
+const lines = [];
+createLogger.addSink({ write: (entry, line) => lines.push(line) });
+
+after(async () => {
+    await createLogger.closeSinks();
+    fs.rmSync(logDirectory, { recursive: true, force: true });
+});
+
+// Entries reach the sinks on the next turn of the event loop.
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const callContext = { uniqueId: '1700000000.42', callerId: '600100200' };
+
+const logWithFormat = async (format, ...args) => {
+    const previousFormat = config.logging.format;
+    config.logging.format = format;
+    await flush();
+    lines.length = 0;
+    try {
+        createLogger({ context: callContext, config }).info(...args);
+        await flush();
+    } finally {
+        config.logging.format = previousFormat;
+    }
+    assert.equal(lines.length, 1);
+    return lines[0];
+};
+
+test('values under secret keys are redacted at any depth', () => {
+    const logger = createLogger({ config, capture: true });
+    logger.info('Connecting', { ari: { url: 'http://pbx', password: 'hunter2' }, headers: [{ Authorization: 'Bearer abc' }], subscription_key: 'k' });
+
+    const [entry] = logger.getCapturedEntries();
+    assert.deepEqual(entry.payload, {
+        ari: { url: 'http://pbx', password: '[REDACTED]' },
+        headers: [{ Authorization: '[REDACTED]' }],
+        subscription_key: '[REDACTED]',
+    });
+});
+
+test('secret environment values are redacted inside strings and errors', () => {
+    const logger = createLogger({ config, capture: true });
+    logger.error('Request with token admin-token-5678 failed:', new Error('401 for admin-token-5678'));
+
+    const [entry] = logger.getCapturedEntries();
+    assert.equal(entry.message, 'Request with token [REDACTED] failed:');
+    assert.equal(entry.payload.error.message, '401 for [REDACTED]');
+    assert.ok(!JSON.stringify(entry).includes('admin-token-5678'));
+});
+
+test('entries below the configured level are dropped', () => {
+    const logger = createLogger({ config: { ...config, logging: { ...config.logging, level: 'warn' } }, capture: true });
+    logger.info('hidden');
+    logger.warn('shown');
+    assert.deepEqual(logger.getCapturedEntries().map(entry => entry.message), ['shown']);
+});
+
+test('captured entries stop at 10,000', () => {
+    const logger = createLogger({ config, capture: true });
+    for (let i = 0; i < 10005; i++) {
+        logger.debug(`entry ${i}`);
+    }
+    const entries = logger.getCapturedEntries();
+    assert.equal(entries.length, 10000);
+    assert.equal(entries[9999].message, 'entry 9999');
+    assert.equal(createLogger({ config }).getCapturedEntries(), null);
+});
+
+test('the JSON format writes the structured entry as one line', async () => {
+    const line = await logWithFormat('json', 'Recognized', { transcript: 'hola', audio: Buffer.alloc(320) }, new Error('late'));
+    const entry = JSON.parse(line);
+
+    assert.deepEqual(Object.keys(entry), ['timestamp', 'level', 'uniqueId', 'callerId', 'message', 'payload']);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.uniqueId, callContext.uniqueId);
+    assert.equal(entry.callerId, callContext.callerId);
+    assert.equal(entry.message, 'Recognized');
+    assert.equal(entry.payload.transcript, 'hola');
+    assert.equal(entry.payload.audio, '[Buffer 320 bytes]');
+    assert.equal(entry.payload.error.message, 'late');
+    assert.ok(!line.includes('\n'));
+});
+
+test('the text format writes one line with the payload as compact JSON', async () => {
+    const line = await logWithFormat('text', 'First line\nsecond line', { nested: { value: 1 } }, new Error('boom'));
+
+    assert.ok(!line.includes('\n'));
+    assert.match(line, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3} \[INFO\] \[1700000000\.42\]\[600100200\] First line\\nsecond line \{/);
+    const payload = JSON.parse(line.slice(line.indexOf(' {') + 1));
+    assert.deepEqual(payload.nested, { value: 1 });
+    assert.equal(payload.error.message, 'boom');
+    assert.match(payload.error.stack, /^Error: boom\n/);
+});
+
+test('the file sink rotates the log when it is full', async () => {
+    const filePath = path.join(logDirectory, 'rotating.log');
+    const sink = new RotatingFileSink({ path: filePath, maxSizeMb: 100 / (1024 * 1024), maxFiles: 2 });
+    for (let i = 0; i < 4; i++) {
+        sink.write({ level: 'info' }, `line ${i} ${'x'.repeat(60)}`);
+    }
+    await sink.close();
+
+    assert.match(fs.readFileSync(filePath, 'utf8'), /^line 3 /);
+    assert.match(fs.readFileSync(`${filePath}.1`, 'utf8'), /^line 2 /);
+    assert.match(fs.readFileSync(`${filePath}.2`, 'utf8'), /^line 1 /);
+    assert.equal(fs.existsSync(`${filePath}.3`), false);
+});
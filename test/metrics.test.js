@@ -0,0 +1,62 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../metrics');
+
+const renderLines = () => metrics.render().split('\n');
+
+test('render lists HELP and TYPE for every metric and ends with a newline', () => {
+    const output = metrics.render();
+    assert.ok(output.endsWith('\n'));
+    assert.ok(output.includes('# HELP ari_stt_tts_active_calls Calls currently handled by the application.'));
+    assert.ok(output.includes('# TYPE ari_stt_tts_active_calls gauge'));
+    assert.ok(output.includes('# TYPE ari_stt_tts_calls_total counter'));
+    assert.ok(output.includes('# TYPE ari_stt_tts_stt_latency_seconds histogram'));
+});
+
+test('counters accumulate per label set', () => {
+    metrics.callsTotal.inc({ outcome: 'VOICE' });
+    metrics.callsTotal.inc({ outcome: 'VOICE' });
+    metrics.callsTotal.inc({ outcome: 'DTMF' }, 3);
+
+    const lines = renderLines();
+    assert.ok(lines.includes('ari_stt_tts_calls_total{outcome="VOICE"} 2'));
+    assert.ok(lines.includes('ari_stt_tts_calls_total{outcome="DTMF"} 3'));
+});
+
+test('gauges keep the last value and unlabeled series have no braces', () => {
+    metrics.activeCalls.set({}, 4);
+    metrics.activeCalls.set({}, 2);
+    assert.ok(renderLines().includes('ari_stt_tts_active_calls 2'));
+});
+
+test('unknown labels are dropped and missing ones are empty', () => {
+    metrics.bargeInsTotal.inc({ type: 'dtmf', callId: 'abc' });
+    metrics.promptsTotal.inc();
+
+    const lines = renderLines();
+    assert.ok(lines.includes('ari_stt_tts_barge_ins_total{type="dtmf"} 1'));
+    assert.ok(lines.includes('ari_stt_tts_prompts_total{mode=""} 1'));
+});
+
+test('label values are escaped', () => {
+    metrics.azureCancellationsTotal.inc({ operation: 'stt', reason: 'say "hi"\\\nbye' });
+    assert.ok(renderLines().includes('ari_stt_tts_azure_cancellations_total{operation="stt",reason="say \\"hi\\"\\\\\\nbye"} 1'));
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+    metrics.sttLatencySeconds.observe({ provider: 'azure' }, 0.2);
+    metrics.sttLatencySeconds.observe({ provider: 'azure' }, 0.7);
+    metrics.sttLatencySeconds.observe({ provider: 'azure' }, 20);
+
+    const lines = renderLines();
+    const name = 'ari_stt_tts_stt_latency_seconds';
+    assert.ok(lines.includes(`${name}_bucket{provider="azure",le="0.1"} 0`));
+    assert.ok(lines.includes(`${name}_bucket{provider="azure",le="0.25"} 1`));
+    assert.ok(lines.includes(`${name}_bucket{provider="azure",le="1"} 2`));
+    assert.ok(lines.includes(`${name}_bucket{provider="azure",le="10"} 2`));
+    assert.ok(lines.includes(`${name}_bucket{provider="azure",le="+Inf"} 3`));
+    assert.ok(lines.includes(`${name}_sum{provider="azure"} 20.9`));
+    assert.ok(lines.includes(`${name}_count{provider="azure"} 3`));
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+process.env.SPEECH_PROVIDER = process.env.SPEECH_PROVIDER || 'local';
+process.env.LOG_LEVEL = 'error';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PhraseListError, loadPhraseList, getPhrases } = require('../phrase-lists');
+
+const listsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phrase-lists-'));
+fs.writeFileSync(path.join(listsDir, 'ciudades.txt'), 'Quito\n  Guayaquil  \n\nCuenca\n');
+fs.writeFileSync(path.join(listsDir, 'especialidades.txt'), 'Cardiología\nPediatría\n');
+const globalListPath = path.join(listsDir, 'global.txt');
+fs.writeFileSync(globalListPath, 'Clínica Santa Inés\nQuito\n');
+
+after(() => {
+    for (const file of fs.readdirSync(listsDir)) {
+        fs.unwatchFile(path.join(listsDir, file));
+    }
+    fs.rmSync(listsDir, { recursive: true, force: true });
+});
+
+const silentLogger = () => {
+    const errors = [];
+    return { errors, error: message => errors.push(message) };
+};
+
+test('file, named and inline phrases are combined without duplicates', () => {
+    const logger = silentLogger();
+    const result = getPhrases({
+        phraseListFilePath: globalListPath,
+        phraseListsDir: listsDir,
+        phraseLists: 'ciudades, especialidades',
+        phrases: 'Dra. Paredes| Cuenca |',
+    }, logger);
+
+    assert.deepEqual(result.phrases, ['Clínica Santa Inés', 'Quito', 'Guayaquil', 'Cuenca', 'Cardiología', 'Pediatría', 'Dra. Paredes']);
+    assert.deepEqual(result.sources, [globalListPath, 'ciudades', 'especialidades', 'inline']);
+    assert.deepEqual(logger.errors, []);
+});
+
+test('missing and invalid lists are logged and left out', () => {
+    const logger = silentLogger();
+    const result = getPhrases({ phraseListsDir: listsDir, phraseLists: 'ciudades,../secretos,no_existe', phrases: '' }, logger);
+
+    assert.deepEqual(result.phrases, ['Quito', 'Guayaquil', 'Cuenca']);
+    assert.deepEqual(result.sources, ['ciudades']);
+    assert.equal(logger.errors.length, 2);
+    assert.match(logger.errors[0], /Invalid phrase list name '\.\.\/secretos'/);
+    assert.match(logger.errors[1], /Could not read phrase list .*no_existe\.txt/);
+});
+
+test('a file that cannot be read is not read again on every call', t => {
+    const missingPath = path.join(listsDir, 'pendiente.txt');
+    const readFileSync = t.mock.method(fs, 'readFileSync');
+
+    assert.throws(() => loadPhraseList(missingPath), PhraseListError);
+    assert.throws(() => loadPhraseList(missingPath), /Could not read phrase list .*pendiente\.txt/);
+    assert.equal(readFileSync.mock.calls.length, 1);
+});
+
+test('a file that could not be read is loaded once it is created', async () => {
+    const latePath = path.join(listsDir, 'tardia.txt');
+    assert.throws(() => loadPhraseList(latePath), PhraseListError);
+
+    fs.writeFileSync(latePath, 'Loja\n');
+    const deadline = Date.now() + 10000;
+    let phrases = null;
+    while (phrases === null && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        try {
+            phrases = loadPhraseList(latePath);
+        } catch (err) {
+            assert.ok(err instanceof PhraseListError);
+        }
+    }
+    assert.deepEqual(phrases, ['Loja']);
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PlaylistError, validateSegments, parsePlaylist, describePlaylist } = require('../playlist');
+
+test('parsePlaylist reads the dialplan type:value syntax', () => {
+    assert.deepEqual(parsePlaylist('file:custom/jingle & tts:Bienvenido a {{COMPANY}}&silence:500&digits:1 7 0&ssml:<break time="1s"/>'), [
+        { type: 'file', file: 'custom/jingle' },
+        { type: 'tts', text: 'Bienvenido a {{COMPANY}}' },
+        { type: 'silence', duration: 500 },
+        { type: 'digits', digits: '170' },
+        { type: 'ssml', ssml: '<break time="1s"/>' },
+    ]);
+});
+
+test('parsePlaylist keeps colons after the type in the value', () => {
+    assert.deepEqual(parsePlaylist('tts:Horario: de 9:00 a 18:00'), [{ type: 'tts', text: 'Horario: de 9:00 a 18:00' }]);
+});
+
+test('parsePlaylist reads a JSON array of segments', () => {
+    assert.deepEqual(parsePlaylist(' [{"type":"tts","text":"Tom & Jerry"},{"type":"silence","duration":"250"}]'), [
+        { type: 'tts', text: 'Tom & Jerry' },
+        { type: 'silence', duration: 250 },
+    ]);
+    assert.throws(() => parsePlaylist('[{"type":'), /not valid JSON/);
+});
+
+test('parsePlaylist rejects items without a type and unknown types', () => {
+    assert.throws(() => parsePlaylist('custom/jingle'), /has no type/);
+    assert.throws(() => parsePlaylist('video:intro'), /Unknown playlist segment/);
+    assert.throws(() => parsePlaylist(''), PlaylistError);
+});
+
+test('validateSegments checks the value of each segment', () => {
+    assert.throws(() => validateSegments([]), /at least one segment/);
+    assert.throws(() => validateSegments([{ type: 'tts', text: '  ' }]), /A tts segment needs text/);
+    assert.throws(() => validateSegments([{ type: 'silence', duration: -5 }]), /Invalid silence duration/);
+    assert.throws(() => validateSegments([{ type: 'digits', digits: '12a' }]), /only accepts 0-9/);
+    assert.throws(() => validateSegments([null]), PlaylistError);
+    assert.deepEqual(validateSegments([{ type: 'digits', digits: 1234 }]), [{ type: 'digits', digits: '1234' }]);
+});
+
+test('validateSegments drops unrelated fields', () => {
+    assert.deepEqual(validateSegments([{ type: 'file', file: 'beep', text: 'ignored' }]), [{ type: 'file', file: 'beep' }]);
+});
+
+test('describePlaylist summarizes the segments', () => {
+    assert.equal(describePlaylist(parsePlaylist('file:beep&silence:200&tts:Hola')), 'file:beep & silence:200 & tts:Hola');
+});
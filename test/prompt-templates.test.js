@@ -0,0 +1,69 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateError, getTemplateVariables, renderTemplate, loadTemplate } = require('../prompt-templates');
+
+// Intl separates amounts and symbols with non-breaking spaces.
+const render = (template, variables, options = { language: 'es-ES' }) => {
+    const { text, missing } = renderTemplate(template, variables, options);
+    return { text: text.replace(/\s/g, ' '), missing };
+};
+
+test('getTemplateVariables lists each variable once', () => {
+    assert.deepEqual(
+        getTemplateVariables('Hola {{CALLERID(name)}}, {{ BALANCE | currency }} y {{BALANCE|number}}'),
+        ['CALLERID(name)', 'BALANCE']
+    );
+});
+
+test('placeholders are replaced by the variable values', () => {
+    assert.deepEqual(render('Hola {{ NAME }}.', { NAME: 'Ana' }), { text: 'Hola Ana.', missing: [] });
+});
+
+test('empty variables are reported as missing unless they have a default', () => {
+    assert.deepEqual(render('Hola {{NAME}}{{AGENT|default:Luis}}.', { NAME: '' }), { text: 'Hola Luis.', missing: ['NAME'] });
+});
+
+test('number and currency use the template language', () => {
+    assert.equal(render('{{A|number}} {{A|number:2}}', { A: '12345,5' }).text, '12.345,5 12.345,50');
+    assert.equal(render('{{A|currency}}', { A: '25.5' }).text, '25,50 €');
+    assert.equal(render('{{A|currency}}', { A: '25.5' }, { language: 'en-US', currency: 'usd' }).text, '$25.50');
+    assert.equal(render('{{A|number}}', { A: 'n/a' }).text, 'n/a');
+});
+
+test('date and time accept several input formats', () => {
+    assert.equal(render('{{D|date}}', { D: '20240315' }).text, '15 de marzo de 2024');
+    assert.equal(render('{{D|date:short}}', { D: '2024-03-15' }).text, '15/3/24');
+    assert.equal(render('{{D|date}}', { D: '2024-03-15' }, { language: 'en-US' }).text, 'March 15, 2024');
+    assert.equal(render('{{T|time}}', { T: '2024-03-15T09:05:00' }).text, '9:05');
+});
+
+test('digits reads the value digit by digit', () => {
+    assert.equal(render('{{PIN|digits}}', { PIN: '17 04' }).text, '1 7 0 4');
+});
+
+test('values are XML-escaped in SSML templates', () => {
+    assert.equal(render('<p>{{NAME}}</p>', { NAME: 'Tom & Jerry' }, { language: 'es-ES', ssml: true }).text, '<p>Tom &amp; Jerry</p>');
+});
+
+test('unknown formatters throw a TemplateError', () => {
+    assert.throws(() => renderTemplate('{{A|upper}}', { A: 'x' }, { language: 'es-ES' }), TemplateError);
+    assert.throws(() => renderTemplate('{{A|currency:XX}}', { A: '1' }, { language: 'es-ES' }), /Could not apply currency/);
+});
+
+test('loadTemplate reads .ssml before .txt and rejects invalid ids', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-templates-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(directory, 'welcome.txt'), 'Hola {{NAME}}\n');
+    fs.writeFileSync(path.join(directory, 'balance.ssml'), '<p>{{BALANCE}}</p>');
+    fs.writeFileSync(path.join(directory, 'balance.txt'), '{{BALANCE}}');
+
+    assert.deepEqual(await loadTemplate(directory, 'welcome'), { text: 'Hola {{NAME}}', ssml: false });
+    assert.deepEqual(await loadTemplate(directory, 'balance'), { text: '<p>{{BALANCE}}</p>', ssml: true });
+    await assert.rejects(loadTemplate(directory, 'missing'), /not found/);
+    await assert.rejects(loadTemplate(directory, '../welcome'), TemplateError);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhrase, scoreRecognition, getSegments } = require('../recognition-result');
+
+const phrase = (duration, ...nBest) => ({
+    DisplayText: nBest[0][0],
+    Duration: duration,
+    NBest: nBest.map(([Display, Confidence]) => ({ Display, Confidence })),
+});
+
+test('scoreRecognition returns the confidence of the best alternative and the others', () => {
+    const detailed = [phrase(10000000, ['Quiero pagar.', 0.92], ['Quiero pasar.', 0.61], ['Quiero pagar.', 0.5], ['Quién paga.', 0.3])];
+    assert.deepEqual(scoreRecognition(detailed, 5), {
+        confidence: 0.92,
+        alternatives: [
+            { text: 'Quiero pasar.', confidence: 0.61 },
+            { text: 'Quién paga.', confidence: 0.3 },
+        ],
+    });
+});
+
+test('scoreRecognition limits the number of alternatives', () => {
+    const detailed = [phrase(10000000, ['uno', 0.9], ['dos', 0.5], ['tres', 0.4])];
+    assert.deepEqual(scoreRecognition(detailed, 1).alternatives, [{ text: 'dos', confidence: 0.5 }]);
+    assert.deepEqual(scoreRecognition(detailed, 0).alternatives, []);
+});
+
+test('phrases are combined and weighted by their duration', () => {
+    const detailed = [
+        phrase(30000000, ['Sí.', 0.9], ['Si.', 0.7]),
+        phrase(10000000, ['Es correcto.', 0.5]),
+    ];
+    assert.deepEqual(scoreRecognition(detailed, 3), {
+        confidence: 0.8,
+        alternatives: [{ text: 'Si. Es correcto.', confidence: 0.65 }],
+    });
+});
+
+test('phrases without a duration are averaged', () => {
+    const detailed = [phrase(0, ['uno', 0.9]), phrase(0, ['dos', 0.6])];
+    assert.equal(scoreRecognition(detailed, 3).confidence, 0.75);
+});
+
+test('results without NBest have no confidence', () => {
+    assert.deepEqual(scoreRecognition([{ DisplayText: 'Hola.' }, null], 3), { confidence: null, alternatives: [] });
+    assert.deepEqual(scoreRecognition(undefined, 3), { confidence: null, alternatives: [] });
+});
+
+test('normalizePhrase keeps speech recognition phrases as they are', () => {
+    const result = phrase(10000000, ['Hola.', 0.9]);
+    assert.equal(normalizePhrase(result, 'ignored'), result);
+});
+
+test('normalizePhrase reads the text of translation phrases', () => {
+    assert.deepEqual(
+        normalizePhrase({ RecognitionStatus: 'Success', Text: 'Buenos días.', Offset: 100, Duration: 200 }, 'ignored'),
+        { RecognitionStatus: 'Success', Text: 'Buenos días.', Offset: 100, Duration: 200, DisplayText: 'Buenos días.' }
+    );
+    assert.deepEqual(normalizePhrase({ Offset: 100 }, 'Buenos días.'), { Offset: 100, DisplayText: 'Buenos días.' });
+    assert.deepEqual(normalizePhrase(null), { DisplayText: '' });
+});
+
+test('normalizePhrase unwraps the speech phrase of translation responses', () => {
+    const response = {
+        SpeechPhrase: { DisplayText: 'Buenos días.', Duration: 10000000, NBest: [{ Display: 'Buenos días.', Confidence: 0.88 }, { Display: 'Buen día.', Confidence: 0.4 }] },
+        Translation: { TranslationStatus: 'Success', Translations: [{ Language: 'en', Text: 'Good morning.' }] },
+    };
+    const normalized = normalizePhrase(response, 'Buenos días.');
+    assert.equal(normalized.DisplayText, 'Buenos días.');
+    assert.deepEqual(normalized.Translation, { Translation: response.Translation });
+    assert.deepEqual(scoreRecognition([normalized], 3), {
+        confidence: 0.88,
+        alternatives: [{ text: 'Buen día.', confidence: 0.4 }],
+    });
+});
+
+test('getSegments gives the position of each phrase in milliseconds', () => {
+    const detailed = [
+        { DisplayText: 'Primera frase.', Offset: 5000000, Duration: 15000000 },
+        { DisplayText: '', Offset: 20000000, Duration: 1000000 },
+        { DisplayText: 'Segunda frase.', Offset: 32000000, Duration: 8004999 },
+    ];
+    assert.deepEqual(getSegments(detailed), [
+        { text: 'Primera frase.', startMs: 500, endMs: 2000 },
+        { text: 'Segunda frase.', startMs: 3200, endMs: 4000 },
+    ]);
+});
+
+test('getSegments leaves the times null when the provider does not give them', () => {
+    assert.deepEqual(getSegments([{ DisplayText: 'Hola.' }, null]), [{ text: 'Hola.', startMs: null, endMs: null }]);
+    assert.deepEqual(getSegments(undefined), []);
+});
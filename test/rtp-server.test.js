@@ -0,0 +1,35 @@
+'use strict';
+
+process.env.SPEECH_PROVIDER = process.env.SPEECH_PROVIDER || 'local';
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RtpServer = require('../rtp-server');
+const { getCodec } = require('../audio-converter');
+
+const silentLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} };
+
+test('a server whose socket failed can still be closed', async () => {
+    const server = new RtpServer(silentLogger);
+    await server.listen('127.0.0.1', 0);
+    const errors = [];
+    server.on('error', err => errors.push(err));
+
+    server.socket.emit('error', new Error('socket failure'));
+    assert.equal(errors.length, 1);
+    assert.equal(server.socket, null);
+
+    server.setRemote('127.0.0.1', 9);
+    server.startSending(getCodec('ulaw'));
+    server.sendAudio(Buffer.alloc(320));
+    assert.doesNotThrow(() => server.close());
+});
+
+test('closing a server twice closes its socket once', async () => {
+    const server = new RtpServer(silentLogger);
+    await server.listen('127.0.0.1', 0);
+
+    server.close();
+    assert.doesNotThrow(() => server.close());
+});
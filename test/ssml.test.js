@@ -0,0 +1,83 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeXml, isSsmlInput, getOverriddenSettings, buildSsml, stripSsml } = require('../ssml');
+
+const TTS_CONFIG = { language: 'es-ES', voiceName: 'es-ES-ElviraNeural' };
+const SPEAK_OPEN = "<speak version='1.0' xmlns='http://www.w3.org/2001/10/synthesis' xmlns:mstts='https://www.w3.org/2001/mstts' xml:lang='es-ES'>";
+
+const createLogger = () => {
+    const warnings = [];
+    return { warnings, warn: message => warnings.push(message) };
+};
+
+test('escapeXml escapes the XML special characters', () => {
+    assert.equal(escapeXml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+});
+
+test('isSsmlInput follows the text format', () => {
+    assert.equal(isSsmlInput('Hola <break/>', 'ssml'), true);
+    assert.equal(isSsmlInput('<speak>Hola</speak>', 'text'), false);
+    assert.equal(isSsmlInput('<?xml version="1.0"?>\n<speak version="1.0">Hola</speak>', 'auto'), true);
+    assert.equal(isSsmlInput('Hola <break/>', 'auto'), false);
+    assert.equal(isSsmlInput(undefined, 'auto'), false);
+});
+
+test('plain text is escaped and placed in the configured voice', () => {
+    assert.equal(
+        buildSsml('Tom & Jerry', TTS_CONFIG),
+        `${SPEAK_OPEN}<voice xml:lang='es-ES' name='es-ES-ElviraNeural'>Tom &amp; Jerry</voice></speak>`
+    );
+});
+
+test('style and prosody wrap the content, and the gender is set when known', () => {
+    const ttsConfig = { ...TTS_CONFIG, style: 'cheerful', styleDegree: '1.5', rate: '+10%', volume: 'loud' };
+    assert.equal(
+        buildSsml('Hola', ttsConfig, { gender: 'Female' }),
+        `${SPEAK_OPEN}<voice xml:lang='es-ES' xml:gender='Female' name='es-ES-ElviraNeural'>` +
+        "<mstts:express-as style='cheerful' styledegree='1.5'><prosody rate='+10%' volume='loud'>Hola</prosody></mstts:express-as>" +
+        '</voice></speak>'
+    );
+});
+
+test('SSML fragments are kept unescaped inside the voice', () => {
+    assert.equal(
+        buildSsml('Hola <break time="500ms"/> adiós', TTS_CONFIG, { ssml: true }),
+        `${SPEAK_OPEN}<voice xml:lang='es-ES' name='es-ES-ElviraNeural'>Hola <break time="500ms"/> adiós</voice></speak>`
+    );
+});
+
+test('a speak document without a voice gets the configured voice and style', () => {
+    const document = '<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="es-ES">Hola</speak>';
+    assert.equal(
+        buildSsml(document, { ...TTS_CONFIG, style: 'calm' }, { ssml: true }),
+        `<speak xmlns:mstts='https://www.w3.org/2001/mstts' version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="es-ES">` +
+        "<voice xml:lang='es-ES' name='es-ES-ElviraNeural'><mstts:express-as style='calm'>Hola</mstts:express-as></voice></speak>"
+    );
+});
+
+test('a speak document with its own voice is sent as is and the override is logged', () => {
+    const document = '<speak version="1.0" xml:lang="en-US"><voice name="en-US-JennyNeural">Hello</voice></speak>';
+    const logger = createLogger();
+    assert.equal(buildSsml(document, { ...TTS_CONFIG, rate: 'slow' }, { ssml: true, logger }), document);
+    assert.deepEqual(logger.warnings, ['The SSML document sets its own voice. The configured voiceName, rate are ignored.']);
+});
+
+test('a speak document with the configured voice and no prosody is not logged', () => {
+    const document = "<speak version='1.0'><voice name='es-ES-ElviraNeural'>Hola</voice></speak>";
+    const logger = createLogger();
+    assert.equal(buildSsml(document, TTS_CONFIG, { ssml: true, logger }), document);
+    assert.deepEqual(logger.warnings, []);
+});
+
+test('getOverriddenSettings lists the settings a document overrides', () => {
+    const ttsConfig = { ...TTS_CONFIG, style: 'calm', pitch: 'high' };
+    assert.deepEqual(getOverriddenSettings('<speak>Hola</speak>', ttsConfig), []);
+    assert.deepEqual(getOverriddenSettings('<speak><voice name="es-ES-ElviraNeural">Hola</voice></speak>', ttsConfig), ['style', 'pitch']);
+    assert.deepEqual(getOverriddenSettings('<speak><voice name="es-ES-AlvaroNeural">Hola</voice></speak>', ttsConfig), ['voiceName', 'style', 'pitch']);
+});
+
+test('stripSsml removes the markup', () => {
+    assert.equal(stripSsml('<speak><voice name="x">Hola <break time="1s"/>  mundo</voice></speak>'), 'Hola mundo');
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+// The cache logs through the application logger, which loads the config.
+process.env.SPEECH_PROVIDER = process.env.SPEECH_PROVIDER || 'local';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ttsCache = require('../tts-cache');
+
+test('buildKey returns a hex SHA-256 hash', () => {
+    assert.match(ttsCache.buildKey({ text: 'Hola' }), /^[0-9a-f]{64}$/);
+});
+
+test('buildKey does not depend on the order of the keys', () => {
+    const a = ttsCache.buildKey({ text: 'Hola', voice: 'es-ES-ElviraNeural', ssml: { rate: '1.0', pitch: '0%' } });
+    const b = ttsCache.buildKey({ ssml: { pitch: '0%', rate: '1.0' }, voice: 'es-ES-ElviraNeural', text: 'Hola' });
+    assert.equal(a, b);
+});
+
+test('buildKey changes with every synthesis parameter', () => {
+    const base = { text: 'Hola', voice: 'es-ES-ElviraNeural', language: 'es-ES', format: 'Raw8Khz16BitMonoPcm' };
+    const keys = new Set([
+        ttsCache.buildKey(base),
+        ttsCache.buildKey({ ...base, text: 'Adiós' }),
+        ttsCache.buildKey({ ...base, voice: 'es-ES-AlvaroNeural' }),
+        ttsCache.buildKey({ ...base, language: 'es-MX' }),
+        ttsCache.buildKey({ ...base, format: 'Raw16Khz16BitMonoPcm' }),
+    ]);
+    assert.equal(keys.size, 5);
+});
+
+test('buildKey treats undefined values like null', () => {
+    assert.equal(ttsCache.buildKey({ text: 'Hola', style: undefined }), ttsCache.buildKey({ text: 'Hola', style: null }));
+    assert.notEqual(ttsCache.buildKey(['a', 'b']), ttsCache.buildKey(['b', 'a']));
+});
+
+test('store and lookup round-trip the PCM audio', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    await ttsCache.initialize({ directory, maxSizeMb: 1, ttlHours: 0 });
+    const key = ttsCache.buildKey({ text: 'Hola' });
+    const audio = Buffer.from([1, 2, 3, 4, 5, 6]);
+
+    assert.equal(ttsCache.has(key), false);
+    assert.equal(await ttsCache.lookup(key), null);
+
+    const filePath = await ttsCache.store(key, audio, 8000);
+    assert.equal(filePath, path.join(directory, `${key}.wav`));
+    assert.equal(ttsCache.has(key), true);
+
+    const cached = await ttsCache.lookup(key);
+    assert.deepEqual(cached.audio, audio);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EnergyVad = require('../vad');
+
+const SAMPLE_RATE = 8000;
+const FRAME_SAMPLES = 160; // 20 ms
+const CONFIG = { energyThreshold: 500, maxZeroCrossingRate: 0.25, minSpeechMs: 60, hangoverMs: 100 };
+
+const makeFrame = (sampleAt) => {
+    const frame = Buffer.alloc(FRAME_SAMPLES * 2);
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+        frame.writeInt16LE(Math.round(sampleAt(i)), i * 2);
+    }
+    return frame;
+};
+const voiceFrame = makeFrame(i => 3000 * Math.sin(2 * Math.PI * 300 * i / SAMPLE_RATE));
+const noiseFrame = makeFrame(i => (i % 2 === 0 ? 3000 : -3000));
+const silenceFrame = makeFrame(() => 0);
+
+const createVad = () => {
+    const vad = new EnergyVad(CONFIG, SAMPLE_RATE);
+    const events = [];
+    vad.on('speechStart', () => events.push({ type: 'speechStart' }));
+    vad.on('speechEnd', ({ duration }) => events.push({ type: 'speechEnd', duration }));
+    return { vad, events };
+};
+
+const feed = (vad, frame, count) => {
+    for (let i = 0; i < count; i++) vad.process(frame);
+};
+
+test('speech starts after minSpeechMs of consecutive voice frames', () => {
+    const { vad, events } = createVad();
+    feed(vad, voiceFrame, 2);
+    assert.deepEqual(events, []);
+    feed(vad, voiceFrame, 1);
+    assert.deepEqual(events, [{ type: 'speechStart' }]);
+    assert.equal(vad.isSpeaking, true);
+});
+
+test('a silent frame restarts the count before speech starts', () => {
+    const { vad, events } = createVad();
+    feed(vad, voiceFrame, 2);
+    feed(vad, silenceFrame, 1);
+    feed(vad, voiceFrame, 2);
+    assert.deepEqual(events, []);
+});
+
+test('loud broadband noise is not speech', () => {
+    const { vad, events } = createVad();
+    feed(vad, noiseFrame, 20);
+    assert.deepEqual(events, []);
+});
+
+test('speech ends after hangoverMs of silence and reports its duration', () => {
+    const { vad, events } = createVad();
+    feed(vad, voiceFrame, 10);
+    feed(vad, silenceFrame, 4);
+    assert.equal(events.length, 1);
+    feed(vad, silenceFrame, 1);
+    assert.deepEqual(events, [{ type: 'speechStart' }, { type: 'speechEnd', duration: 200 }]);
+    assert.equal(vad.isSpeaking, false);
+});
+
+test('short pauses are part of the utterance', () => {
+    const { vad, events } = createVad();
+    feed(vad, voiceFrame, 5);
+    feed(vad, silenceFrame, 2);
+    feed(vad, voiceFrame, 5);
+    feed(vad, silenceFrame, 5);
+    assert.deepEqual(events, [{ type: 'speechStart' }, { type: 'speechEnd', duration: 240 }]);
+});
+
+test('reset forgets a started utterance and empty frames are ignored', () => {
+    const { vad, events } = createVad();
+    feed(vad, voiceFrame, 3);
+    vad.reset();
+    vad.process(Buffer.alloc(0));
+    feed(vad, silenceFrame, 10);
+    assert.deepEqual(events, [{ type: 'speechStart' }]);
+    assert.equal(vad.isSpeaking, false);
+});
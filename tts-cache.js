@@ -0,0 +1,196 @@
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const createLogger = require('./logger');
+const { addWavHeader, stripWavHeader } = require('./wav-helper');
+
+const globalLogger = createLogger();
+const CACHE_FILE_EXTENSION = '.wav';
+
+// In-memory index of the cache directory: key -> { filePath, size, createdAt, lastAccess }
+const entries = new Map();
+let cacheDir = null;
+let maxSizeBytes = 0;
+let ttlMs = 0;
+
+/**
+ * Initializes the cache: ensures the directory exists, indexes the files
+ * already in it and evicts anything expired or over the size limit.
+ * @param {object} cacheConfig - The `app.tts.cache` configuration.
+ * @returns {Promise<void>}
+ */
+async function initialize(cacheConfig) {
+    cacheDir = path.resolve(cacheConfig.directory);
+    maxSizeBytes = cacheConfig.maxSizeMb * 1024 * 1024;
+    ttlMs = cacheConfig.ttlHours * 60 * 60 * 1000;
+
+    try {
+        await fs.mkdir(cacheDir, { recursive: true });
+        entries.clear();
+        for (const filename of await fs.readdir(cacheDir)) {
+            if (path.extname(filename) !== CACHE_FILE_EXTENSION) continue;
+            const filePath = path.join(cacheDir, filename);
+            const stats = await fs.stat(filePath);
+            entries.set(path.basename(filename, CACHE_FILE_EXTENSION), {
+                filePath,
+                size: stats.size,
+                createdAt: stats.mtimeMs,
+                lastAccess: stats.mtimeMs,
+            });
+        }
+        globalLogger.info(`TTS cache is ready at ${cacheDir} with ${entries.size} entries.`);
+        await evict();
+    } catch (err) {
+        globalLogger.error('Failed to initialize TTS cache directory:', err);
+        throw err;
+    }
+}
+
+/**
+ * Serializes a value as JSON with object keys sorted at every level, so that
+ * equal parameters always produce the same string.
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Builds the content address of a synthesized prompt.
+ * Every parameter that changes the produced audio must be part of `params`
+ * (text, voice, language, output format, SSML options, provider...).
+ * @param {object} params - The synthesis parameters.
+ * @returns {string} A hex SHA-256 hash.
+ */
+function buildKey(params) {
+    return crypto.createHash('sha256').update(canonicalJson(params)).digest('hex');
+}
+
+function isExpired(entry) {
+    return ttlMs > 0 && Date.now() - entry.createdAt > ttlMs;
+}
+
+/**
+ * Checks whether a prompt is cached (and not expired) without reading it.
+ * @param {string} key - The key returned by buildKey().
+ * @returns {boolean}
+ */
+function has(key) {
+    const entry = entries.get(key);
+    return Boolean(entry) && !isExpired(entry);
+}
+
+/**
+ * Looks up a cached prompt.
+ * @param {string} key - The key returned by buildKey().
+ * @param {object} [logger] - The logger instance for the call.
+ * @returns {Promise<{filePath: string, audio: Buffer}|null>} The cached PCM audio (without WAV header), or null on a miss.
+ */
+async function lookup(key, logger) {
+    const entry = entries.get(key);
+    if (!cacheDir || !entry) return null;
+
+    if (isExpired(entry)) {
+        await removeEntry(key, entry, logger);
+        return null;
+    }
+
+    try {
+        const wavData = await fs.readFile(entry.filePath);
+        entry.lastAccess = Date.now();
+        return { filePath: entry.filePath, audio: stripWavHeader(wavData) };
+    } catch (err) {
+        (logger || globalLogger).warn(`Failed to read TTS cache entry ${entry.filePath}, discarding it.`, err);
+        entries.delete(key);
+        return null;
+    }
+}
+
+/**
+ * Stores a synthesized prompt in the cache as a WAV file.
+ * @param {string} key - The key returned by buildKey().
+ * @param {Buffer} pcmAudio - The raw 16-bit mono PCM audio.
+ * @param {number} sampleRate - The sample rate of the audio.
+ * @param {object} [logger] - The logger instance for the call.
+ * @returns {Promise<string|null>} The path of the cache file or null on error.
+ */
+async function store(key, pcmAudio, sampleRate, logger) {
+    if (!cacheDir || pcmAudio.length === 0) return null;
+
+    const filePath = path.join(cacheDir, `${key}${CACHE_FILE_EXTENSION}`);
+    // Write to a temporary name first so concurrent readers never see a partial file.
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        const wavBuffer = addWavHeader(pcmAudio, { numChannels: 1, sampleRate, bitDepth: 16 });
+        await fs.writeFile(tempPath, wavBuffer);
+        await fs.rename(tempPath, filePath);
+
+        const now = Date.now();
+        entries.set(key, { filePath, size: wavBuffer.length, createdAt: now, lastAccess: now });
+        (logger || globalLogger).info(`Stored TTS audio in cache: ${filePath}`);
+        await evict(logger);
+        return filePath;
+    } catch (err) {
+        (logger || globalLogger).error(`Failed to store TTS audio in cache: ${filePath}`, err);
+        fs.unlink(tempPath).catch(() => {});
+        return null;
+    }
+}
+
+async function removeEntry(key, entry, logger) {
+    entries.delete(key);
+    try {
+        await fs.unlink(entry.filePath);
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            (logger || globalLogger).error(`Failed to remove TTS cache entry: ${entry.filePath}`, err);
+        }
+    }
+}
+
+/**
+ * Removes expired entries, then the least recently used ones until the
+ * cache fits within its size limit.
+ * @param {object} [logger] - The logger instance for the call.
+ * @returns {Promise<void>}
+ */
+async function evict(logger) {
+    for (const [key, entry] of entries) {
+        if (isExpired(entry)) {
+            (logger || globalLogger).debug(`Evicting expired TTS cache entry ${key}.`);
+            await removeEntry(key, entry, logger);
+        }
+    }
+
+    let totalSize = 0;
+    for (const entry of entries.values()) {
+        totalSize += entry.size;
+    }
+    if (maxSizeBytes <= 0 || totalSize <= maxSizeBytes) return;
+
+    const byLastAccess = Array.from(entries.entries()).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [key, entry] of byLastAccess) {
+        if (totalSize <= maxSizeBytes) break;
+        (logger || globalLogger).debug(`Evicting TTS cache entry ${key} to free space.`);
+        await removeEntry(key, entry, logger);
+        totalSize -= entry.size;
+    }
+}
+
+module.exports = {
+    initialize,
+    buildKey,
+    has,
+    lookup,
+    store,
+    evict,
+};
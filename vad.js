@@ -0,0 +1,89 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * In-process voice activity detector for the caller's audio, used instead of
+ * Asterisk's TALK_DETECT when VAD_ENGINE is 'energy'.
+ *
+ * A frame counts as speech when its RMS energy reaches `energyThreshold` and
+ * its zero-crossing rate stays under `maxZeroCrossingRate` (broadband noise
+ * crosses zero far more often than voice). Speech starts after `minSpeechMs`
+ * of consecutive speech frames and ends after `hangoverMs` without any.
+ *
+ * Events:
+ *  - 'speechStart'
+ *  - 'speechEnd' with `{ duration }`, the speech time in ms without the hangover.
+ */
+class EnergyVad extends EventEmitter {
+    /**
+     * @param {object} vadConfig - The `app.vad.energy` configuration.
+     * @param {number} vadConfig.energyThreshold - Minimum RMS of a speech frame (16-bit scale).
+     * @param {number} vadConfig.maxZeroCrossingRate - Maximum share of sign changes per sample (0-1).
+     * @param {number} vadConfig.minSpeechMs - Speech needed before 'speechStart'.
+     * @param {number} vadConfig.hangoverMs - Silence needed before 'speechEnd'.
+     * @param {number} sampleRate - Sample rate of the PCM frames.
+     */
+    constructor(vadConfig, sampleRate) {
+        super();
+        this.config = vadConfig;
+        this.sampleRate = sampleRate;
+        this.reset();
+    }
+
+    /**
+     * Forgets the current state, e.g. when detection is re-armed for a new attempt.
+     */
+    reset() {
+        this.isSpeaking = false;
+        this.speechMs = 0; // Consecutive speech before the start, or total speech after it
+        this.silenceMs = 0;
+    }
+
+    /**
+     * Analyzes a frame of audio.
+     * @param {Buffer} pcmFrame - 16-bit little-endian mono PCM.
+     */
+    process(pcmFrame) {
+        const sampleCount = Math.floor(pcmFrame.length / 2);
+        if (sampleCount === 0) return;
+
+        let sumOfSquares = 0;
+        let zeroCrossings = 0;
+        let previous = pcmFrame.readInt16LE(0);
+        for (let i = 0; i < sampleCount; i++) {
+            const sample = pcmFrame.readInt16LE(i * 2);
+            sumOfSquares += sample * sample;
+            if ((sample >= 0) !== (previous >= 0)) zeroCrossings++;
+            previous = sample;
+        }
+        const rms = Math.sqrt(sumOfSquares / sampleCount);
+        const zeroCrossingRate = zeroCrossings / sampleCount;
+        const frameMs = sampleCount * 1000 / this.sampleRate;
+        const isSpeechFrame = rms >= this.config.energyThreshold && zeroCrossingRate <= this.config.maxZeroCrossingRate;
+
+        if (!this.isSpeaking) {
+            this.speechMs = isSpeechFrame ? this.speechMs + frameMs : 0;
+            if (this.speechMs >= this.config.minSpeechMs) {
+                this.isSpeaking = true;
+                this.silenceMs = 0;
+                this.emit('speechStart');
+            }
+            return;
+        }
+
+        if (isSpeechFrame) {
+            this.speechMs += this.silenceMs + frameMs; // Short pauses are part of the utterance
+            this.silenceMs = 0;
+            return;
+        }
+        this.silenceMs += frameMs;
+        if (this.silenceMs >= this.config.hangoverMs) {
+            const duration = Math.round(this.speechMs);
+            this.reset();
+            this.emit('speechEnd', { duration });
+        }
+    }
+}
+
+module.exports = EnergyVad;
@@ -59,6 +59,49 @@ function addWavHeader(pcmData, options) {
     return Buffer.concat([header, pcmData]);
 }
 
+/**
+ * Finds where the audio starts in a buffer that may begin with a RIFF/WAV header.
+ * @param {Buffer} data - The start of a stream or file.
+ * @returns {number|null} The offset of the PCM data (0 if there is no header), or
+ *   null if the buffer is too short to tell, e.g. a header split across chunks.
+ */
+function getWavDataOffset(data) {
+    if (data.length < 12) {
+        return 'RIFF'.startsWith(data.toString('ascii', 0, Math.min(4, data.length))) ? null : 0;
+    }
+    if (data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+        return 0;
+    }
+    // Walk the chunks until the 'data' chunk is found.
+    let offset = 12;
+    while (offset + 8 <= data.length) {
+        const chunkId = data.toString('ascii', offset, offset + 4);
+        const chunkSize = data.readUInt32LE(offset + 4);
+        if (chunkId === 'data') {
+            return offset + 8;
+        }
+        offset += 8 + chunkSize;
+    }
+    return null;
+}
+
+/**
+ * Removes the RIFF/WAV header from a buffer if it has one, returning the raw PCM data.
+ * Buffers without a header are returned unchanged.
+ * @param {Buffer} data - A buffer that may start with a WAV header.
+ * @returns {Buffer} The PCM data.
+ */
+function stripWavHeader(data) {
+    const offset = getWavDataOffset(data);
+    if (offset === null) {
+        // A header without audio, or a few bytes that may be one.
+        return data.length < 12 ? data : Buffer.alloc(0);
+    }
+    return data.slice(offset);
+}
+
 module.exports = {
-    addWavHeader
+    addWavHeader,
+    getWavDataOffset,
+    stripWavHeader,
 };